@@ -6,8 +6,8 @@ CREATE TABLE IF NOT EXISTS flow_executions (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   flow_id UUID NOT NULL REFERENCES flows(id) ON DELETE CASCADE,
   flow_version INTEGER NOT NULL,  -- which version of the flow was executed
-  status TEXT NOT NULL DEFAULT 'running',  -- 'running', 'completed', 'failed', 'cancelled'
-  trigger_type TEXT NOT NULL,  -- 'manual', 'webhook', 'schedule', 'deploy'
+  status TEXT NOT NULL DEFAULT 'queued',  -- 'queued', 'running', 'waiting', 'completed', 'completed_with_errors', 'failed', 'cancelled', 'timed_out'
+  trigger_type TEXT NOT NULL,  -- 'manual', 'webhook', 'schedule', 'deploy', 'resume', 'replay', 'subflow'
   trigger_data JSONB,  -- webhook payload, schedule info, etc.
   started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
   completed_at TIMESTAMPTZ,
@@ -17,15 +17,52 @@ CREATE TABLE IF NOT EXISTS flow_executions (
     REFERENCES flow_versions(flow_id, version) ON DELETE CASCADE
 );
 
+-- Resumed runs point at the execution they continue
+ALTER TABLE flow_executions
+  ADD COLUMN IF NOT EXISTS resumed_from_execution_id UUID REFERENCES flow_executions(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS resume_from_node_id TEXT;
+
+-- Optional per-execution cap on concurrently running nodes
+ALTER TABLE flow_executions
+  ADD COLUMN IF NOT EXISTS max_parallelism INTEGER;
+
+-- Optional per-execution deadline; falls back to the flow's settings.timeoutMs
+ALTER TABLE flow_executions
+  ADD COLUMN IF NOT EXISTS timeout_ms INTEGER;
+
+-- Replays record the execution whose trigger payload they re-used
+ALTER TABLE flow_executions
+  ADD COLUMN IF NOT EXISTS replayed_from_execution_id UUID REFERENCES flow_executions(id) ON DELETE SET NULL;
+
+-- Executions suspended by a delay/wait-until node; a queue job with
+-- run_at = wake_at picks them up again
+ALTER TABLE flow_executions
+  ADD COLUMN IF NOT EXISTS wake_at TIMESTAMPTZ;
+
+-- Sub-flow runs point at the execution and step that called them; root is
+-- the top-level execution, which owns the queue job
+ALTER TABLE flow_executions
+  ADD COLUMN IF NOT EXISTS parent_execution_id UUID REFERENCES flow_executions(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS parent_step_id UUID,
+  ADD COLUMN IF NOT EXISTS root_execution_id UUID REFERENCES flow_executions(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS depth INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_flow_executions_parent
+  ON flow_executions(parent_execution_id) WHERE parent_execution_id IS NOT NULL;
+
+-- Dry runs (mocked providers, no alerts); kept out of listings and KPIs
+ALTER TABLE flow_executions
+  ADD COLUMN IF NOT EXISTS simulated BOOLEAN NOT NULL DEFAULT FALSE;
+
 -- ---------- Execution Steps ----------
 -- Tracks each node execution within a flow run
 CREATE TABLE IF NOT EXISTS execution_steps (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   execution_id UUID NOT NULL REFERENCES flow_executions(id) ON DELETE CASCADE,
   node_id TEXT NOT NULL,  -- matches node.id from graph
-  node_type TEXT NOT NULL,  -- trigger, action, condition, etc.
+  node_type TEXT NOT NULL,  -- trigger, action, condition, loop, iteration, etc.
   node_kind TEXT,  -- http, salesforce, transform, etc.
-  status TEXT NOT NULL DEFAULT 'pending',  -- 'pending', 'running', 'completed', 'failed', 'skipped'
+  status TEXT NOT NULL DEFAULT 'pending',  -- 'pending', 'running', 'waiting', 'completed', 'failed', 'skipped', 'cancelled', 'timed_out', 'reused'
   started_at TIMESTAMPTZ,
   completed_at TIMESTAMPTZ,
   input_data JSONB,  -- data received by this node
@@ -36,6 +73,17 @@ CREATE TABLE IF NOT EXISTS execution_steps (
   CONSTRAINT execution_steps_execution_id_node_id_key UNIQUE (execution_id, node_id)
 );
 
+-- Loop iterations: each iteration is a step under the loop's step, and the
+-- body steps it runs hang off the iteration (node_id "loop[2].pay")
+ALTER TABLE execution_steps
+  ADD COLUMN IF NOT EXISTS parent_step_id UUID REFERENCES execution_steps(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS iteration_index INTEGER;
+
+-- Saga compensation: a step that undoes a completed step after the run failed
+-- (node_id "<node>:compensate")
+ALTER TABLE execution_steps
+  ADD COLUMN IF NOT EXISTS compensates_step_id UUID REFERENCES execution_steps(id) ON DELETE CASCADE;
+
 -- ---------- Execution Logs ----------
 -- Detailed logs for debugging
 CREATE TABLE IF NOT EXISTS execution_logs (
@@ -61,6 +109,52 @@ CREATE INDEX IF NOT EXISTS idx_execution_steps_execution_id
 CREATE INDEX IF NOT EXISTS idx_execution_logs_execution_id 
   ON execution_logs(execution_id, created_at);
 
+-- ---------- Execution Jobs ----------
+-- Durable queue consumed by execution workers (see execution/ExecutionQueue.js)
+CREATE TABLE IF NOT EXISTS execution_jobs (
+  id BIGSERIAL PRIMARY KEY,
+  execution_id UUID NOT NULL REFERENCES flow_executions(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'queued',  -- 'queued', 'running', 'done', 'failed', 'cancelled'
+  run_at TIMESTAMPTZ NOT NULL DEFAULT now(),  -- earliest time a worker may claim it
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  locked_by TEXT,  -- worker id holding the lease
+  locked_at TIMESTAMPTZ,
+  lease_expires_at TIMESTAMPTZ,  -- renewed by worker heartbeats
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_execution_jobs_claim 
+  ON execution_jobs(run_at, id) WHERE status = 'queued';
+
+CREATE INDEX IF NOT EXISTS idx_execution_jobs_lease 
+  ON execution_jobs(lease_expires_at) WHERE status = 'running';
+
+CREATE INDEX IF NOT EXISTS idx_execution_jobs_execution_id 
+  ON execution_jobs(execution_id);
+
+-- ---------- Execution Callbacks ----------
+-- Provider callbacks awaited by wait-for-callback nodes (see execution/ExecutionCallbacks.js)
+CREATE TABLE IF NOT EXISTS execution_callbacks (
+  id BIGSERIAL PRIMARY KEY,
+  provider TEXT NOT NULL,  -- 'mtn', 'flutterwave'
+  correlation_key TEXT NOT NULL,  -- MTN referenceId / Flutterwave tx_ref
+  status TEXT NOT NULL DEFAULT 'waiting',  -- 'waiting', 'received', 'consumed', 'expired'
+  execution_id UUID REFERENCES flow_executions(id) ON DELETE CASCADE,  -- the waiting execution
+  step_id UUID REFERENCES execution_steps(id) ON DELETE CASCADE,
+  node_id TEXT,
+  payload JSONB,  -- last callback body, kept for debugging only (never trusted)
+  expires_at TIMESTAMPTZ,
+  received_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (provider, correlation_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_execution_callbacks_execution_id 
+  ON execution_callbacks(execution_id);
+
 -- ---------- Flow Triggers ----------
 -- Stores trigger configurations for flows
 CREATE TABLE IF NOT EXISTS flow_triggers (
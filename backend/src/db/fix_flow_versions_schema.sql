@@ -1,12 +1,26 @@
 -- Fix flow_versions schema to match code expectations
 -- Drop dependent tables first (cascade), then recreate with correct schema
 
--- Drop tables in order (dependent first)
-DROP TABLE IF EXISTS execution_logs CASCADE;
-DROP TABLE IF EXISTS execution_steps CASCADE;
-DROP TABLE IF EXISTS flow_executions CASCADE;
-DROP TABLE IF EXISTS flow_triggers CASCADE;
-DROP TABLE IF EXISTS flow_versions CASCADE;
+-- Drop tables in order (dependent first), but only while flow_versions still has
+-- the old shape. This file runs on every startup; dropping unconditionally would
+-- wipe execution history and queued jobs on each restart.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'flow_versions')
+     AND NOT EXISTS (
+       SELECT 1 FROM information_schema.columns
+       WHERE table_name = 'flow_versions' AND column_name IN ('graph', 'variables')
+       HAVING COUNT(*) = 2
+     ) THEN
+    DROP TABLE IF EXISTS execution_callbacks CASCADE;
+    DROP TABLE IF EXISTS execution_jobs CASCADE;
+    DROP TABLE IF EXISTS execution_logs CASCADE;
+    DROP TABLE IF EXISTS execution_steps CASCADE;
+    DROP TABLE IF EXISTS flow_executions CASCADE;
+    DROP TABLE IF EXISTS flow_triggers CASCADE;
+    DROP TABLE IF EXISTS flow_versions CASCADE;
+  END IF;
+END $$;
 
 -- Recreate flow_versions with correct schema
 CREATE TABLE IF NOT EXISTS flow_versions (
@@ -28,7 +42,7 @@ CREATE TABLE IF NOT EXISTS flow_executions (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   flow_id UUID NOT NULL REFERENCES flows(id) ON DELETE CASCADE,
   flow_version INTEGER NOT NULL,
-  status TEXT NOT NULL DEFAULT 'running',
+  status TEXT NOT NULL DEFAULT 'queued',
   trigger_type TEXT NOT NULL,
   trigger_data JSONB,
   started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
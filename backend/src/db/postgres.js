@@ -64,5 +64,22 @@ export const query = async (text, params) => {
   return pool.query(text, params);
 };
 
+// Run fn(client) on one pooled client inside BEGIN/COMMIT; rolls back if it throws
+export async function withTransaction(fn) {
+  if (!pool) return fn({ query });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 export { pool };
-export default { pool, query };
+export default { pool, query, withTransaction };
@@ -99,6 +99,26 @@ ALTER TABLE integrations
   ADD COLUMN IF NOT EXISTS last_checked TIMESTAMPTZ,
   ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'pending';
 
+-- ---------- Idempotency Keys ----------
+-- Responses of requests sent with an Idempotency-Key, replayed on repeats
+-- (see middleware/idempotency.js)
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id               BIGSERIAL PRIMARY KEY,
+  scope            TEXT NOT NULL,                       -- endpoint, e.g. 'executions.start'
+  owner            TEXT NOT NULL,                       -- user id the key belongs to
+  idempotency_key  TEXT NOT NULL,
+  request_hash     TEXT NOT NULL,                       -- sha256 of the request body
+  status           TEXT NOT NULL DEFAULT 'in_progress', -- 'in_progress' | 'completed'
+  response_status  INTEGER,
+  response_body    JSONB,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  locked_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (scope, owner, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created
+  ON idempotency_keys (created_at);
+
 -- ---------- Notifications on failed tx_events ----------
 CREATE OR REPLACE FUNCTION notify_on_tx_failure() RETURNS trigger AS $$
 BEGIN
@@ -0,0 +1,89 @@
+// Execution Callbacks
+// Correlates provider callbacks (MTN X-Callback-Url, Flutterwave webhooks) with
+// wait-for-callback nodes. The webhooks are public, so a callback is only a
+// wake-up signal: the node reads the payment's outcome back from the provider
+// and never trusts the payload. Callbacks with no registered waiter are
+// dropped (the node checks the provider when it starts waiting, so an early
+// callback loses nothing), and a callback for a suspended execution wakes it
+// through the queue.
+
+import { query } from '../db/postgres.js';
+import ExecutionQueue from './ExecutionQueue.js';
+
+class ExecutionCallbacks {
+  // Claim a correlation key for a waiting step (again waiting, if it was
+  // registered before). A key another live execution is waiting on stays
+  // theirs: taking it over would leave that execution waiting until it
+  // times out, so this throws instead.
+  static async register({ provider, correlationKey, executionId, stepId, nodeId, expiresAt }) {
+    const { rows } = await query(
+      `INSERT INTO execution_callbacks (provider, correlation_key, execution_id, step_id, node_id, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (provider, correlation_key) DO UPDATE
+         SET execution_id = EXCLUDED.execution_id, step_id = EXCLUDED.step_id,
+             node_id = EXCLUDED.node_id, expires_at = EXCLUDED.expires_at,
+             status = 'waiting', payload = NULL, received_at = NULL
+         WHERE execution_callbacks.execution_id = EXCLUDED.execution_id
+            OR execution_callbacks.status IN ('consumed', 'expired')
+            OR NOT EXISTS (
+              SELECT 1 FROM flow_executions e
+              WHERE e.id = execution_callbacks.execution_id AND e.status IN ('queued', 'running', 'waiting')
+            )
+       RETURNING *`,
+      [provider, String(correlationKey), executionId, stepId, nodeId, expiresAt]
+    );
+    if (rows.length === 0) {
+      throw new Error(`Another execution is already waiting for ${provider} callback ${correlationKey}`);
+    }
+    return rows[0];
+  }
+
+  static async findByStep(stepId) {
+    const { rows } = await query(
+      `SELECT * FROM execution_callbacks WHERE step_id = $1`,
+      [stepId]
+    );
+    return rows[0] || null;
+  }
+
+  // The provider did not confirm the payment yet: wait for the next callback
+  static async reopen(id) {
+    await query(
+      `UPDATE execution_callbacks SET status = 'waiting' WHERE id = $1 AND status = 'received'`,
+      [id]
+    );
+  }
+
+  static async markConsumed(id, status = 'consumed') {
+    await query(
+      `UPDATE execution_callbacks SET status = $2 WHERE id = $1`,
+      [id, status]
+    );
+  }
+
+  // Wake the execution waiting on a callback, if any. Callbacks for unknown
+  // keys are not stored, and repeats while the waiter is checking are ignored.
+  static async receive(provider, correlationKey, payload) {
+    const { rows } = await query(
+      `UPDATE execution_callbacks
+       SET status = 'received', payload = $3, received_at = now()
+       WHERE provider = $1 AND correlation_key = $2 AND status = 'waiting'
+       RETURNING execution_id`,
+      [provider, String(correlationKey), JSON.stringify(payload ?? null)]
+    );
+
+    const executionId = rows[0]?.execution_id ?? null;
+    if (executionId) await ExecutionQueue.wake(executionId);
+    return { matched: Boolean(executionId), executionId };
+  }
+
+  static async hasPending(executionId) {
+    const { rows } = await query(
+      `SELECT 1 FROM execution_callbacks WHERE execution_id = $1 AND status = 'received' LIMIT 1`,
+      [executionId]
+    );
+    return rows.length > 0;
+  }
+}
+
+export default ExecutionCallbacks;
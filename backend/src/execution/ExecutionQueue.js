@@ -0,0 +1,139 @@
+// Execution Queue
+// Durable Postgres-backed job queue for flow executions. Workers claim jobs with
+// SELECT ... FOR UPDATE SKIP LOCKED, hold them under a renewable lease and
+// release them once the execution reaches a terminal state.
+
+import { query } from '../db/postgres.js';
+
+const INTERRUPTED_MESSAGE = 'Execution interrupted: worker stopped before it finished';
+
+class ExecutionQueue {
+  // Pass the client of the transaction that created the execution, so the
+  // row and its job commit together (see withTransaction)
+  static async enqueue(executionId, { runAt = null, maxAttempts = 3, client = null } = {}) {
+    const result = await (client || { query }).query(
+      `INSERT INTO execution_jobs (execution_id, run_at, max_attempts)
+       VALUES ($1, COALESCE($2::timestamptz, now()), $3)
+       RETURNING id`,
+      [executionId, runAt, maxAttempts]
+    );
+    return result.rows[0]?.id ?? null;
+  }
+
+  // Atomically claim the next due job for this worker
+  static async claimNext(workerId, leaseMs) {
+    const result = await query(
+      `UPDATE execution_jobs
+       SET status = 'running', locked_by = $1, locked_at = now(),
+           lease_expires_at = now() + ($2::int * interval '1 millisecond'),
+           attempts = attempts + 1, updated_at = now()
+       WHERE id = (
+         SELECT id FROM execution_jobs
+         WHERE status = 'queued' AND run_at <= now()
+         ORDER BY run_at, id
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      [workerId, leaseMs]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async heartbeat(jobId, workerId, leaseMs) {
+    const result = await query(
+      `UPDATE execution_jobs
+       SET lease_expires_at = now() + ($3::int * interval '1 millisecond'), updated_at = now()
+       WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+      [jobId, workerId, leaseMs]
+    );
+    return result.rowCount > 0;
+  }
+
+  static async complete(jobId, workerId) {
+    await query(
+      `UPDATE execution_jobs
+       SET status = 'done', locked_by = NULL, lease_expires_at = NULL, updated_at = now()
+       WHERE id = $1 AND locked_by = $2`,
+      [jobId, workerId]
+    );
+  }
+
+  static async fail(jobId, workerId, errorMessage) {
+    await query(
+      `UPDATE execution_jobs
+       SET status = 'failed', last_error = $3, locked_by = NULL, lease_expires_at = NULL, updated_at = now()
+       WHERE id = $1 AND locked_by = $2`,
+      [jobId, workerId, errorMessage]
+    );
+  }
+
+  // Bring a waiting execution's wake-up job forward to now
+  static async wake(executionId) {
+    await query(
+      `UPDATE execution_jobs SET run_at = now(), updated_at = now()
+       WHERE execution_id = $1 AND status = 'queued' AND run_at > now()`,
+      [executionId]
+    );
+  }
+
+  static async cancel(executionId) {
+    await query(
+      `UPDATE execution_jobs SET status = 'cancelled', updated_at = now()
+       WHERE execution_id = $1 AND status = 'queued'`,
+      [executionId]
+    );
+  }
+
+  /**
+   * Recover work orphaned by a crashed or restarted worker.
+   * - Expired jobs that never started a step are requeued (safe to run again).
+   * - Expired jobs that already ran steps are failed rather than re-run from
+   *   the trigger, which could repeat payment calls.
+   * - Executions left 'running' (or 'waiting') with no live job are failed.
+   *   Sub-flow runs have no job of their own and live as long as their root's job.
+   */
+  static async recoverOrphans() {
+    const requeued = await query(
+      `UPDATE execution_jobs j
+       SET status = 'queued', locked_by = NULL, locked_at = NULL, lease_expires_at = NULL, updated_at = now()
+       WHERE j.status = 'running' AND j.lease_expires_at < now() AND j.attempts < j.max_attempts
+         AND NOT EXISTS (SELECT 1 FROM execution_steps s WHERE s.execution_id = j.execution_id)
+       RETURNING j.execution_id`
+    );
+    if (requeued.rows.length > 0) {
+      await query(
+        `UPDATE flow_executions SET status = 'queued' WHERE id = ANY($1::uuid[])`,
+        [requeued.rows.map(r => r.execution_id)]
+      );
+    }
+
+    const expired = await query(
+      `UPDATE execution_jobs
+       SET status = 'failed', last_error = $1, locked_by = NULL, lease_expires_at = NULL, updated_at = now()
+       WHERE status = 'running' AND lease_expires_at < now()
+       RETURNING execution_id`,
+      [INTERRUPTED_MESSAGE]
+    );
+
+    const orphaned = await query(
+      `UPDATE flow_executions e
+       SET status = 'failed', completed_at = now(), error_message = $1
+       WHERE e.status IN ('running', 'queued', 'waiting')
+         AND NOT EXISTS (
+           SELECT 1 FROM execution_jobs j
+           WHERE j.execution_id = COALESCE(e.root_execution_id, e.id) AND j.status IN ('queued', 'running')
+         )
+       RETURNING e.id`,
+      [INTERRUPTED_MESSAGE]
+    );
+
+    return {
+      requeued: requeued.rows.length,
+      failed: expired.rows.length,
+      orphaned: orphaned.rows.length
+    };
+  }
+}
+
+export default ExecutionQueue;
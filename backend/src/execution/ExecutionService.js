@@ -1,11 +1,41 @@
 // Flow Execution Service
 // Manages starting, monitoring, and controlling flow executions
 
-import { query } from '../db/postgres.js';
+import { query, withTransaction } from '../db/postgres.js';
+import ExecutionQueue from './ExecutionQueue.js';
 import FlowExecutor from './FlowExecutor.js';
 
+// How deeply sub-flow nodes may nest before a call is refused
+const MAX_SUBFLOW_DEPTH = Number(process.env.EXECUTION_MAX_SUBFLOW_DEPTH) || 5;
+
+// JSON merge patch (RFC 7386): objects merge recursively, null removes a key
+function applyMergePatch(target, patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) return patch;
+  const result = target && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
 class ExecutionService {
-  static async startExecution(flowId, triggerType = 'manual', triggerData = {}) {
+  // Insert a 'queued' execution (insertSql must RETURNING id) together with
+  // its queue job. One transaction, so recoverOrphans never sees a queued
+  // execution without a job and fails it as interrupted.
+  static async createQueuedExecution(insertSql, params) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(insertSql, params);
+      await ExecutionQueue.enqueue(rows[0].id, { client });
+      return rows[0].id;
+    });
+  }
+
+  // options.simulate starts a dry run (see simulation.js)
+  static async startExecution(flowId, triggerType = 'manual', triggerData = {}, { maxParallelism = null, timeoutMs = null, simulate = false } = {}) {
     try {
       // Get the latest version of the flow
       const flowResult = await query(
@@ -27,37 +57,23 @@ class ExecutionService {
         throw new Error('Flow has no versions to execute');
       }
 
-      // Create execution record
-      const executionResult = await query(
-        `INSERT INTO flow_executions (flow_id, flow_version, status, trigger_type, trigger_data)
-         VALUES ($1, $2, 'running', $3, $4)
+      // Create execution record and hand it to the durable queue; an
+      // execution worker picks it up
+      const executionId = await ExecutionService.createQueuedExecution(
+        `INSERT INTO flow_executions (flow_id, flow_version, status, trigger_type, trigger_data, max_parallelism, timeout_ms, simulated)
+         VALUES ($1, $2, 'queued', $3, $4, $5, $6, $7)
          RETURNING id`,
-        [flowId, flow.latest_version, triggerType, JSON.stringify(triggerData)]
-      );
-
-      const executionId = executionResult.rows[0].id;
-
-      // Start execution asynchronously
-      const executor = new FlowExecutor(
-        executionId,
-        flowId,
-        flow.latest_version,
-        triggerType,
-        triggerData
+        [flowId, flow.latest_version, triggerType, JSON.stringify(triggerData), maxParallelism, timeoutMs, Boolean(simulate)]
       );
 
-      // Execute in background
-      executor.execute().catch(error => {
-        console.error('Execution error:', error);
-      });
-
       return {
         executionId,
         flowId,
         flowName: flow.name,
         version: flow.latest_version,
-        status: 'running',
-        message: 'Flow execution started'
+        status: 'queued',
+        simulated: Boolean(simulate),
+        message: simulate ? 'Simulated flow execution queued' : 'Flow execution queued'
       };
 
     } catch (error) {
@@ -66,6 +82,192 @@ class ExecutionService {
     }
   }
 
+  /**
+   * Re-run a failed, cancelled or timed-out execution from one of its steps. Outputs of
+   * steps that completed before it are reused, so upstream payment calls are
+   * not repeated; so are failures an error branch handled. Defaults to the
+   * step that ended the execution (the first failure no error branch handled).
+   */
+  static async resumeExecution(executionId, fromNodeId = null) {
+    const original = await ExecutionService.getExecution(executionId);
+    if (!['failed', 'cancelled', 'timed_out'].includes(original.status)) {
+      throw new Error(`Only failed, cancelled or timed-out executions can be resumed (status: ${original.status})`);
+    }
+
+    const steps = await ExecutionService.getExecutionSteps(executionId);
+    const stepsByNode = new Map(steps.map(s => [s.node_id, s]));
+
+    // Reusing the outputs of steps that were since reversed would skip work that is no longer done
+    if (steps.some(s => s.compensates_step_id && s.status === 'completed')) {
+      throw new Error('Execution was compensated and cannot be resumed; start a new execution instead');
+    }
+
+    if (!fromNodeId) {
+      // Loop body steps resume through their loop node
+      const failedStep = steps.find(s => !s.parent_step_id && !s.compensates_step_id &&
+        ['failed', 'cancelled', 'timed_out'].includes(s.status) && !FlowExecutor.isHandledFailure(s));
+      if (!failedStep) throw new Error('Execution has no failed step to resume from');
+      fromNodeId = failedStep.node_id;
+    }
+
+    const { graph } = await FlowExecutor.loadFlowVersion(original.flow_id, original.flow_version);
+    if (!graph.nodes.some(n => n.id === fromNodeId)) {
+      throw new Error(`Node ${fromNodeId} not found in flow version ${original.flow_version}`);
+    }
+
+    // Every predecessor must have a stored result to rehydrate from
+    const missing = [...FlowExecutor.collectAncestors(graph, fromNodeId)].filter(id => {
+      const step = stepsByNode.get(id);
+      return !['completed', 'reused', 'skipped'].includes(step?.status) && !FlowExecutor.isHandledFailure(step);
+    });
+    if (missing.length > 0) {
+      throw new Error(`Cannot resume from ${fromNodeId}: predecessors did not complete (${missing.join(', ')})`);
+    }
+
+    const newExecutionId = await ExecutionService.createQueuedExecution(
+      `INSERT INTO flow_executions (flow_id, flow_version, status, trigger_type, trigger_data, resumed_from_execution_id, resume_from_node_id, simulated)
+       VALUES ($1, $2, 'queued', 'resume', $3, $4, $5, $6)
+       RETURNING id`,
+      [original.flow_id, original.flow_version, JSON.stringify(original.trigger_data || {}), executionId, fromNodeId, Boolean(original.simulated)]
+    );
+
+    return {
+      executionId: newExecutionId,
+      resumedFrom: executionId,
+      fromNodeId,
+      flowId: original.flow_id,
+      flowName: original.flow_name,
+      version: original.flow_version,
+      status: 'queued',
+      simulated: Boolean(original.simulated),
+      message: 'Flow execution resumed'
+    };
+  }
+
+  /**
+   * Start a new execution from a previous one's stored trigger payload.
+   * options.useLatestVersion runs the flow's newest version instead of the
+   * original one; options.triggerData replaces the payload and options.edits
+   * is merge-patched onto it.
+   */
+  static async replayExecution(executionId, { useLatestVersion = false, triggerData = null, edits = null } = {}) {
+    const original = await ExecutionService.getExecution(executionId);
+
+    let version = original.flow_version;
+    if (useLatestVersion) {
+      const latest = await query(
+        `SELECT COALESCE(MAX(version), 0) AS latest_version FROM flow_versions WHERE flow_id = $1`,
+        [original.flow_id]
+      );
+      version = Number(latest.rows[0]?.latest_version) || original.flow_version;
+    }
+
+    let payload = triggerData ?? original.trigger_data ?? {};
+    if (edits) payload = applyMergePatch(payload, edits);
+
+    const newExecutionId = await ExecutionService.createQueuedExecution(
+      `INSERT INTO flow_executions (flow_id, flow_version, status, trigger_type, trigger_data, replayed_from_execution_id, simulated)
+       VALUES ($1, $2, 'queued', 'replay', $3, $4, $5)
+       RETURNING id`,
+      [original.flow_id, version, JSON.stringify(payload), executionId, Boolean(original.simulated)]
+    );
+
+    return {
+      executionId: newExecutionId,
+      replayedFrom: executionId,
+      flowId: original.flow_id,
+      flowName: original.flow_name,
+      version,
+      triggerData: payload,
+      status: 'queued',
+      simulated: Boolean(original.simulated),
+      message: 'Flow execution replayed'
+    };
+  }
+
+  /**
+   * Run another flow as a child of a running execution and wait for it.
+   * The child runs in the caller's process rather than through the queue, so a
+   * parent never waits on a worker slot it may itself be holding. It is linked
+   * to the parent execution and step, and aborted along with the parent.
+   * Resolves to the child's end-node output; rejects if it does not complete.
+   */
+  static async runSubflow({ flowId, version = 'latest', inputs = {}, parentExecutionId, parentStepId, timeoutMs = null, simulate = false, signal }) {
+    const parent = (await query(
+      `SELECT e.id, e.depth, e.root_execution_id, f.org_id
+       FROM flow_executions e
+       JOIN flows f ON f.id = e.flow_id
+       WHERE e.id = $1`,
+      [parentExecutionId]
+    )).rows[0];
+    if (!parent) throw new Error('Parent execution not found');
+
+    const depth = (parent.depth || 0) + 1;
+    if (depth > MAX_SUBFLOW_DEPTH) {
+      throw new Error(`Sub-flow depth limit of ${MAX_SUBFLOW_DEPTH} exceeded`);
+    }
+
+    const flowResult = await query(
+      `SELECT f.id, f.name, COALESCE(MAX(v.version), 0) as latest_version
+       FROM flows f
+       LEFT JOIN flow_versions v ON v.flow_id = f.id
+       WHERE f.id = $1 AND f.is_deleted = FALSE AND f.org_id IS NOT DISTINCT FROM $2
+       GROUP BY f.id`,
+      [flowId, parent.org_id]
+    );
+    if (flowResult.rows.length === 0) throw new Error(`Sub-flow ${flowId} not found`);
+
+    const flow = flowResult.rows[0];
+    const flowVersion = version === 'latest' || version === undefined || version === null
+      ? flow.latest_version
+      : Number(version);
+    if (!flowVersion) throw new Error(`Sub-flow ${flow.name} has no versions to execute`);
+
+    // Throws if a pinned version does not exist
+    const { graph } = await FlowExecutor.loadFlowVersion(flowId, flowVersion);
+
+    if (signal?.aborted) throw new Error('Parent execution was stopped');
+
+    const { rows } = await query(
+      `INSERT INTO flow_executions (flow_id, flow_version, status, trigger_type, trigger_data,
+                                    parent_execution_id, parent_step_id, root_execution_id, depth, timeout_ms, simulated)
+       VALUES ($1, $2, 'running', 'subflow', $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [flowId, flowVersion, JSON.stringify(inputs), parentExecutionId, parentStepId,
+        parent.root_execution_id || parent.id, depth, timeoutMs || null, Boolean(simulate)]
+    );
+    const executionId = rows[0].id;
+
+    const executor = new FlowExecutor(executionId, flowId, flowVersion, 'subflow', inputs, { timeoutMs, canSuspend: false, simulate });
+    const onAbort = () => executor.cancel();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let result;
+    try {
+      result = await executor.execute();
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (!result.success) {
+      const outcome = result.timedOut ? 'timed out' : result.cancelled ? 'was cancelled' : 'failed';
+      throw new Error(`Sub-flow ${flow.name} (execution ${executionId}) ${outcome}${result.error ? `: ${result.error}` : ''}`);
+    }
+
+    const endNodes = graph.nodes.filter(n => n.type === 'end' && result.outputs[n.id] !== undefined);
+    let output = null;
+    if (endNodes.length === 1) output = result.outputs[endNodes[0].id];
+    else if (endNodes.length > 1) output = Object.fromEntries(endNodes.map(n => [n.id, result.outputs[n.id]]));
+
+    return {
+      executionId,
+      flowId,
+      flowName: flow.name,
+      version: flowVersion,
+      output
+    };
+  }
+
   static async getExecution(executionId) {
     const result = await query(
       `SELECT e.*, f.name as flow_name
@@ -105,25 +307,38 @@ class ExecutionService {
     return result.rows;
   }
 
-  static async getFlowExecutions(flowId, limit = 20) {
+  // Real runs by default; options.simulated lists dry runs instead
+  static async getFlowExecutions(flowId, limit = 20, { simulated = false } = {}) {
     const result = await query(
       `SELECT * FROM flow_executions 
-       WHERE flow_id = $1 
+       WHERE flow_id = $1 AND simulated = $3
        ORDER BY started_at DESC
        LIMIT $2`,
-      [flowId, limit]
+      [flowId, limit, Boolean(simulated)]
     );
 
     return result.rows;
   }
 
   static async cancelExecution(executionId) {
-    await query(
-      `UPDATE flow_executions 
-       SET status = 'cancelled', completed_at = now() 
-       WHERE id = $1 AND status = 'running'`,
+    const { rows } = await query(
+      `UPDATE flow_executions e
+       SET status = 'cancelled', completed_at = now()
+       FROM (SELECT id, status FROM flow_executions WHERE id = $1 FOR UPDATE) previous
+       WHERE e.id = previous.id AND previous.status IN ('queued', 'running', 'waiting')
+       RETURNING e.flow_id, e.flow_version, previous.status AS previous_status`,
       [executionId]
     );
+    await ExecutionQueue.cancel(executionId);
+
+    // No worker holds a suspended execution, so nothing else will close its steps
+    if (rows[0]?.previous_status === 'waiting') {
+      await FlowExecutor.finishCancelledWait(executionId, rows[0].flow_id, rows[0].flow_version);
+    }
+
+    // Abort immediately if it runs in this process; other workers pick up the
+    // status change at their next cancellation check
+    FlowExecutor.cancelRunning(executionId);
 
     return { success: true, message: 'Execution cancelled' };
   }
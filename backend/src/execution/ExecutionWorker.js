@@ -0,0 +1,153 @@
+// Execution Worker
+// Polls the execution queue and runs claimed executions with FlowExecutor,
+// renewing each job's lease while it runs. Concurrency is capped per worker.
+
+import os from 'os';
+import { query } from '../db/postgres.js';
+import ExecutionQueue from './ExecutionQueue.js';
+import FlowExecutor from './FlowExecutor.js';
+
+class ExecutionWorker {
+  constructor({
+    workerId = `${os.hostname()}:${process.pid}`,
+    concurrency = Number(process.env.EXECUTION_WORKER_CONCURRENCY) || 2,
+    pollIntervalMs = Number(process.env.EXECUTION_WORKER_POLL_MS) || 1000,
+    leaseMs = Number(process.env.EXECUTION_WORKER_LEASE_MS) || 30000
+  } = {}) {
+    this.workerId = workerId;
+    this.concurrency = concurrency;
+    this.pollIntervalMs = pollIntervalMs;
+    this.leaseMs = leaseMs;
+    this.active = new Set();
+    this.running = false;
+    this.pollTimer = null;
+    this.recoveryTimer = null;
+  }
+
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    await this.recover();
+    this.recoveryTimer = setInterval(() => this.recover(), this.leaseMs);
+    this.schedulePoll(0);
+
+    console.log(`Execution worker ${this.workerId} started (concurrency ${this.concurrency})`);
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+    clearInterval(this.recoveryTimer);
+    // Let in-flight executions finish so their jobs are released cleanly
+    await Promise.allSettled([...this.active]);
+    console.log(`Execution worker ${this.workerId} stopped`);
+  }
+
+  async recover() {
+    try {
+      const recovered = await ExecutionQueue.recoverOrphans();
+      if (recovered.requeued || recovered.failed || recovered.orphaned) {
+        console.warn('Recovered orphaned executions:', recovered);
+      }
+    } catch (error) {
+      console.error('Failed to recover orphaned executions:', error);
+    }
+  }
+
+  schedulePoll(delay) {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.poll(), delay);
+  }
+
+  async poll() {
+    try {
+      while (this.running && this.active.size < this.concurrency) {
+        const job = await ExecutionQueue.claimNext(this.workerId, this.leaseMs);
+        if (!job) break;
+
+        const run = this.runJob(job).finally(() => {
+          this.active.delete(run);
+          // A slot freed up: look for more work straight away
+          if (this.running) this.schedulePoll(0);
+        });
+        this.active.add(run);
+      }
+    } catch (error) {
+      console.error('Execution worker poll failed:', error);
+    }
+
+    if (this.running) this.schedulePoll(this.pollIntervalMs);
+  }
+
+  async runJob(job) {
+    let executor = null;
+    let leaseLost = false;
+    const heartbeat = setInterval(() => {
+      ExecutionQueue.heartbeat(job.id, this.workerId, this.leaseMs)
+        .then(held => {
+          if (held || leaseLost) return;
+          // The lease expired and the job was recovered or reclaimed: stop
+          // rather than run the execution alongside another worker
+          leaseLost = true;
+          console.warn(`Execution job ${job.id} lost its lease; abandoning execution ${job.execution_id}`);
+          executor?.cancel('lease_lost');
+        })
+        .catch(error => console.error(`Heartbeat failed for job ${job.id}:`, error));
+    }, Math.max(1000, Math.floor(this.leaseMs / 3)));
+
+    try {
+      const { rows } = await query(
+        `UPDATE flow_executions SET status = 'running'
+         WHERE id = $1 AND status IN ('queued', 'waiting')
+         RETURNING id, flow_id, flow_version, trigger_type, trigger_data, wake_at,
+                   resumed_from_execution_id, resume_from_node_id, max_parallelism, timeout_ms, simulated`,
+        [job.execution_id]
+      );
+
+      // Cancelled (or otherwise finalised) while it sat in the queue
+      if (rows.length === 0) {
+        await ExecutionQueue.complete(job.id, this.workerId);
+        return;
+      }
+
+      const execution = rows[0];
+      executor = new FlowExecutor(
+        execution.id,
+        execution.flow_id,
+        execution.flow_version,
+        execution.trigger_type,
+        execution.trigger_data || {},
+        {
+          resumeFrom: execution.resumed_from_execution_id
+            ? { executionId: execution.resumed_from_execution_id, nodeId: execution.resume_from_node_id }
+            : null,
+          maxParallelism: execution.max_parallelism,
+          timeoutMs: execution.timeout_ms,
+          // Woken up after a wait node suspended it
+          restore: execution.wake_at !== null,
+          simulate: execution.simulated
+        }
+      );
+
+      if (leaseLost) return;
+      await executor.execute();
+      await ExecutionQueue.complete(job.id, this.workerId);
+    } catch (error) {
+      console.error(`Execution job ${job.id} failed:`, error);
+      if (leaseLost) return;
+      await query(
+        `UPDATE flow_executions
+         SET status = 'failed', completed_at = now(), error_message = $1
+         WHERE id = $2 AND status IN ('queued', 'running', 'waiting')`,
+        [error.message, job.execution_id]
+      ).catch(err => console.error('Failed to mark execution as failed:', err));
+      await ExecutionQueue.fail(job.id, this.workerId, error.message)
+        .catch(err => console.error('Failed to release execution job:', err));
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+export default ExecutionWorker;
@@ -4,16 +4,232 @@
 import { query } from '../db/postgres.js';
 import axios from 'axios';
 import { sendErrorAlert } from '../utils/errorNotification.js';
+import { sendMail } from '../mailer.js';
+import { decryptJSON } from '../utils/crypto.js';
+import { MTNConnector, referenceIdFor } from '../providers/mtn/index.js';
+import flutterwaveClient from '../providers/flutterwave/index.js';
+import { getPool, runStatement } from '../providers/postgres/index.js';
+import { buildAuth, resolveUrl } from '../providers/http/index.js';
+import { getConnectorSecret } from '../db/connectorStore.js';
+import ExecutionService from './ExecutionService.js';
+import ExecutionQueue from './ExecutionQueue.js';
+import ExecutionCallbacks from './ExecutionCallbacks.js';
+import { evaluateExpression } from './expression.js';
+import { applyMapping, getPath } from './mapping.js';
+import { runCode } from './codeSandbox.js';
+import { generateFromSchema, sampleResponse } from './simulation.js';
+import { interpolate, hasPlaceholders, escapeHtml } from './template.js';
+import {
+  normalizeRetryPolicy,
+  isRetryableError,
+  isRetryableStatus,
+  getStatusCode,
+  computeBackoff,
+  sleep
+} from './retry.js';
+
+const FLW_BASE_URL = process.env.FLW_BASE_URL || 'https://api.flutterwave.com/v3';
+const CANCEL_POLL_MS = Number(process.env.EXECUTION_CANCEL_POLL_MS) || 2000;
+const DEFAULT_MAX_PARALLELISM = Number(process.env.EXECUTION_MAX_PARALLELISM) || 4;
+const DEFAULT_NODE_TIMEOUT_MS = Number(process.env.EXECUTION_NODE_TIMEOUT_MS) || 2 * 60 * 1000;
+const DEFAULT_EXECUTION_TIMEOUT_MS = Number(process.env.EXECUTION_TIMEOUT_MS) || 30 * 60 * 1000;
+// Waits up to this long are slept through in memory; longer ones suspend the execution
+const SUSPEND_THRESHOLD_MS = Number(process.env.EXECUTION_SUSPEND_THRESHOLD_MS) || 30000;
+const DEFAULT_CALLBACK_TIMEOUT_MS = Number(process.env.EXECUTION_CALLBACK_TIMEOUT_MS) || 24 * 60 * 60 * 1000;
+// Payment statuses (upper-cased) that end a wait-for-callback node
+const SETTLED_STATUSES = {
+  mtn: new Set(['SUCCESSFUL', 'FAILED', 'REJECTED', 'TIMEOUT', 'EXPIRED']),
+  flutterwave: new Set(['SUCCESSFUL', 'FAILED', 'CANCELLED'])
+};
+// Marks a wait node output that suspends the execution instead of completing
+const SUSPEND = Symbol('suspend');
+
+// Config keys left unresolved per node type (or action kind): loop bodies are
+// resolved per iteration, code may legitimately contain "{{", and SQL only
+// takes context values as bind parameters. A compensation is resolved only
+// when it runs, against the output of the step it undoes.
+const RAW_CONFIG_KEYS = { loop: 'body', code: 'code', database: 'sql' };
+const COMPENSATION_KEY = 'compensation';
+// Config keys whose placeholder values are escaped for the format they land
+// in, per node type (or action kind): an email's HTML body must not take
+// markup from trigger data or node outputs
+const ESCAPED_CONFIG_KEYS = { email: { html: escapeHtml } };
+
+const EMAIL_RE = /^[^\s@,;<>]+@[^\s@,;<>]+\.[^\s@,;<>]+$/;
+
+// Recipients as an array or a comma/semicolon separated string
+function parseRecipients(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(/[,;]/);
+  return list.map(address => String(address).trim()).filter(Boolean);
+}
+
+// Edge label for a node's "on error" output. A node with such an edge does not
+// fail the run: its error is routed down that edge instead, and the execution
+// ends completed_with_errors. The label is reserved, so condition nodes cannot
+// use it as a case name.
+const ERROR_BRANCH = 'error';
+
+// Credentials belong in a connection, not in the flow graph
+const SECRET_HEADER_RE = /^(authorization|proxy-authorization|x-api-key|api-key|apikey)$/i;
+
+// Request body for config.bodyType: json (default), form or multipart.
+// Multipart file parts are { content, filename, contentType, encoding: 'base64' }.
+function encodeHttpBody(bodyType, payload) {
+  const fieldValue = value => (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? ''));
+  switch (bodyType || 'json') {
+    case 'json':
+      return payload;
+    case 'form':
+      return new URLSearchParams(Object.entries(payload || {}).map(([key, value]) => [key, fieldValue(value)]));
+    case 'multipart': {
+      const form = new FormData();
+      for (const [key, value] of Object.entries(payload || {})) {
+        if (value && typeof value === 'object' && value.content !== undefined) {
+          const bytes = value.encoding === 'base64' ? Buffer.from(String(value.content), 'base64') : String(value.content);
+          form.append(key, new Blob([bytes], { type: value.contentType || 'application/octet-stream' }), value.filename || key);
+        } else {
+          form.append(key, fieldValue(value));
+        }
+      }
+      return form;
+    }
+    default:
+      throw new Error(`Unsupported bodyType '${bodyType}' (use json, form or multipart)`);
+  }
+}
+
+// Check config.expectStatus and config.assertions against a response; returns
+// the failed checks. Assertion paths are read from the response body.
+function checkHttpResponse(response, config) {
+  const failures = [];
+  if (config.expectStatus !== undefined) {
+    const expected = [].concat(config.expectStatus).map(Number);
+    if (!expected.includes(response.status)) {
+      failures.push({ check: 'status', expected, actual: response.status });
+    }
+  }
+  for (const assertion of Array.isArray(config.assertions) ? config.assertions : []) {
+    let actual;
+    try {
+      actual = getPath(response.data, assertion.path);
+    } catch (error) {
+      failures.push({ path: assertion.path, error: error.message });
+      continue;
+    }
+    if (assertion.exists !== undefined && (actual !== undefined && actual !== null) !== Boolean(assertion.exists)) {
+      failures.push({ path: assertion.path, check: 'exists', expected: Boolean(assertion.exists), actual });
+    }
+    if (assertion.equals !== undefined && JSON.stringify(actual) !== JSON.stringify(assertion.equals)) {
+      failures.push({ path: assertion.path, check: 'equals', expected: assertion.equals, actual });
+    }
+    if (Array.isArray(assertion.in) && !assertion.in.some(v => JSON.stringify(v) === JSON.stringify(actual))) {
+      failures.push({ path: assertion.path, check: 'in', expected: assertion.in, actual });
+    }
+  }
+  return failures;
+}
+
+function withQueryParam(url, key, value) {
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+}
+
+// Executors running in this process, so a cancel request can abort them immediately
+const activeExecutors = new Map();
 
 class FlowExecutor {
-  constructor(executionId, flowId, flowVersion, triggerType, triggerData = {}) {
+  // options.resumeFrom = { executionId, nodeId } re-runs a previous execution
+  // from the given node, reusing the stored outputs of completed steps;
+  // options.maxParallelism caps how many nodes run at once;
+  // options.timeoutMs is the whole-execution deadline, applied to each run
+  // segment between waits; options.restore continues an execution that was
+  // suspended by a wait node from its stored steps; options.canSuspend = false
+  // keeps waits in memory (sub-flows, which have no queue job of their own)
+  constructor(executionId, flowId, flowVersion, triggerType, triggerData = {}, options = {}) {
     this.executionId = executionId;
     this.flowId = flowId;
     this.flowVersion = flowVersion;
     this.triggerType = triggerType;
     this.triggerData = triggerData;
     this.nodeOutputs = new Map(); // Store outputs from each node
+    this.skippedNodes = new Set(); // Nodes on branches that were not taken
+    this.reusedNodes = new Set(); // Nodes whose output was carried over from stored steps
+    this.waitingNodes = new Map(); // Wait nodes not yet due -> wake-up Date
+    this.failedNodes = new Map(); // Failed nodes routed to their error branch -> error details
+    this.handledErrors = []; // Every handled failure in the run, loop iterations included
+    this.compensations = []; // Completed steps that declare a compensation, in completion order
+    this.resumeFrom = options.resumeFrom || null;
+    this.options = options;
     this.context = { ...triggerData }; // Execution context passed between nodes
+    this.variables = {}; // Flow version variables, loaded with the graph
+    this.abortController = new AbortController(); // Aborts in-flight requests on cancel
+    this.cancelled = false;
+    this.cancelReason = null; // 'cancelled', 'timed_out' or 'lease_lost'
+    this.stepPrefix = ''; // Loop iterations prefix body step node ids, e.g. "payAll[3]."
+    this.parentStepId = null; // Step that owns the steps recorded by this executor
+    this.idempotencyBase = executionId; // Payment keys derive from this; resumes keep the original run's
+    this.simulate = Boolean(options.simulate); // Dry run: no provider calls, no alerts (see simulation.js)
+  }
+
+  // Cancel an execution running in this process (no-op if it runs elsewhere;
+  // other workers notice the 'cancelled' status when they poll)
+  static cancelRunning(executionId) {
+    const executor = activeExecutors.get(executionId);
+    if (!executor) return false;
+    executor.cancel();
+    return true;
+  }
+
+  cancel(reason = 'cancelled') {
+    if (this.cancelled) return;
+    this.cancelled = true;
+    this.cancelReason = reason;
+    this.abortController.abort();
+  }
+
+  cancellationMessage() {
+    if (this.cancelReason === 'lease_lost') return 'Execution abandoned: worker lost its job lease';
+    return this.cancelReason === 'timed_out' ? 'Execution timed out' : 'Execution cancelled';
+  }
+
+  async refreshCancellation() {
+    if (this.cancelled) return true;
+    const { rows } = await query(
+      `SELECT status FROM flow_executions WHERE id = $1`,
+      [this.executionId]
+    );
+    if (rows[0]?.status === 'cancelled') this.cancel();
+    return this.cancelled;
+  }
+
+  // Reject as soon as the execution is cancelled, even when the wrapped call
+  // does not honour the abort signal itself
+  withCancellation(promise) {
+    const signal = this.abortController.signal;
+    if (signal.aborted) return Promise.reject(new Error(this.cancellationMessage()));
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(new Error(this.cancellationMessage()));
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  // Reject with a timeout error (code ETIMEDOUT, so retry policies treat it
+  // like a network timeout) if the promise does not settle in time
+  withTimeout(promise, timeoutMs, label) {
+    if (!timeoutMs) return promise;
+    let timer;
+    const timeout = new Promise((_resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+        error.code = 'ETIMEDOUT';
+        error.timedOut = true;
+        reject(error);
+      }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
   }
 
   async log(level, message, metadata = {}, stepId = null) {
@@ -30,43 +246,27 @@ class FlowExecutor {
 
   async execute() {
     const startTime = Date.now();
+    activeExecutors.set(this.executionId, this);
+    const cancelWatcher = setInterval(() => {
+      this.refreshCancellation().catch(err => console.error('Cancellation check failed:', err));
+    }, CANCEL_POLL_MS);
+    let deadlineTimer = null;
     
     try {
-      await this.log('info', 'Flow execution started', {
+      await this.log('info', this.simulate ? 'Simulated flow execution started' : 'Flow execution started', {
         flowId: this.flowId,
         version: this.flowVersion,
-        triggerType: this.triggerType
+        triggerType: this.triggerType,
+        simulated: this.simulate
       });
 
       // Load flow graph
-      const flowData = await query(
-        `SELECT graph FROM flow_versions WHERE flow_id = $1 AND version = $2`,
-        [this.flowId, this.flowVersion]
-      );
-
-      if (flowData.rows.length === 0) {
-        throw new Error(`Flow version ${this.flowVersion} not found`);
-      }
+      const { graph, variables } = await FlowExecutor.loadFlowVersion(this.flowId, this.flowVersion);
+      this.variables = variables;
 
-      let graph = flowData.rows[0].graph;
-
-      // Defensive: sometimes JSON may be returned as a string depending on driver/config
-      if (typeof graph === 'string') {
-        try {
-          graph = JSON.parse(graph);
-        } catch (e) {
-          throw new Error('Flow graph JSON parsing failed: ' + e.message);
-        }
-      }
-
-      // Accept alternate key names (connections) for backward compatibility
-      if (graph && !Array.isArray(graph.edges) && Array.isArray(graph.connections)) {
-        graph.edges = graph.connections;
-      }
-
-      if (!graph || !Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
-        throw new Error('Invalid flow graph structure');
-      }
+      // Whole-execution deadline: past it, running nodes are aborted and the rest skipped
+      this.timeoutMs = Number(this.options.timeoutMs || graph.settings?.timeoutMs) || DEFAULT_EXECUTION_TIMEOUT_MS;
+      deadlineTimer = setTimeout(() => this.cancel('timed_out'), Math.max(0, this.timeoutMs - (Date.now() - startTime)));
 
       await this.log('info', `Loaded flow graph with ${graph.nodes.length} nodes and ${graph.edges.length} edges`);
 
@@ -74,91 +274,470 @@ class FlowExecutor {
       const executionPlan = this.buildExecutionPlan(graph);
       await this.log('info', `Execution plan built: ${executionPlan.map(n => n.id).join(' → ')}`);
 
-      // Execute nodes in order
-      for (const node of executionPlan) {
-        await this.executeNode(node, graph);
+      // A resumed execution that suspended on a wait already holds its own
+      // steps, so waking it restores those rather than rehydrating again
+      if (this.options.restore) {
+        if (this.resumeFrom) this.idempotencyBase = await this.findOriginExecutionId(this.resumeFrom.executionId);
+        await this.restoreFromSteps(graph);
+      } else if (this.resumeFrom) {
+        await this.rehydrateFromExecution(graph);
       }
 
-      // Mark execution as completed
+      // Run independent nodes concurrently, up to the parallelism cap
+      this.maxParallelism = Math.max(1, Math.floor(
+        Number(this.options.maxParallelism || graph.settings?.maxParallelism) || DEFAULT_MAX_PARALLELISM
+      ));
+      await this.runGraph(graph, executionPlan);
+
+      if (this.cancelled) {
+        return await this.finishCancelled(startTime);
+      }
+
+      if (this.waitingNodes.size > 0) {
+        return await this.suspend(startTime);
+      }
+
+      // Mark execution as completed (unless it was cancelled meanwhile);
+      // failures that went down an error branch leave it completed_with_errors
       const executionTime = Date.now() - startTime;
+      const status = this.handledErrors.length > 0 ? 'completed_with_errors' : 'completed';
       await query(
         `UPDATE flow_executions 
-         SET status = 'completed', completed_at = now(), execution_time_ms = $1 
-         WHERE id = $2`,
-        [executionTime, this.executionId]
+         SET status = $1, completed_at = now(), execution_time_ms = COALESCE(execution_time_ms, 0) + $2 
+         WHERE id = $3 AND status = 'running'`,
+        [status, executionTime, this.executionId]
       );
 
-      await this.log('info', `Flow execution completed successfully in ${executionTime}ms`);
+      if (status === 'completed') {
+        await this.log('info', `Flow execution completed successfully in ${executionTime}ms`);
+      } else {
+        await this.log('warn', `Flow execution completed in ${executionTime}ms with ${this.handledErrors.length} handled error(s)`, {
+          errors: this.handledErrors
+        });
+      }
       
       return {
         success: true,
+        status,
         executionId: this.executionId,
         executionTime,
-        outputs: Object.fromEntries(this.nodeOutputs)
+        outputs: Object.fromEntries(this.nodeOutputs),
+        handledErrors: this.handledErrors
       };
 
     } catch (error) {
+      if (this.cancelled) {
+        return await this.finishCancelled(startTime);
+      }
+
+      // A node that hit its own timeout ends the run as timed_out rather than failed
+      const status = error.timedOut ? 'timed_out' : 'failed';
+      const compensation = await this.compensate();
       const executionTime = Date.now() - startTime;
       await query(
         `UPDATE flow_executions 
-         SET status = 'failed', completed_at = now(), error_message = $1, execution_time_ms = $2 
-         WHERE id = $3`,
-        [error.message, executionTime, this.executionId]
+         SET status = $1, completed_at = now(), error_message = $2, execution_time_ms = COALESCE(execution_time_ms, 0) + $3 
+         WHERE id = $4 AND status = 'running'`,
+        [status, error.message, executionTime, this.executionId]
       );
 
       await this.log('error', `Flow execution failed: ${error.message}`, {
         error: error.stack
       });
 
-      // Send error notification to users in the organization
-      try {
-        const flowInfo = await query(
-          `SELECT f.name, f.org_id, f.id as flow_id 
-           FROM flows f 
-           WHERE f.id = $1`,
-          [this.flowId]
-        );
-
-        if (flowInfo.rows.length > 0) {
-          const flow = flowInfo.rows[0];
-          
-          // Get all users in the organization
-          const orgUsers = await query(
-            `SELECT id FROM users WHERE org_id = $1`,
-            [flow.org_id]
-          );
-
-          // Send error alert to each user in the org
-          for (const user of orgUsers.rows) {
-            await sendErrorAlert(user.id, {
-              type: 'FLOW_EXECUTION_ERROR',
-              message: error.message,
-              flowName: flow.name,
-              executionId: this.executionId,
-              metadata: {
-                flowId: this.flowId,
-                flowVersion: this.flowVersion,
-                triggerType: this.triggerType,
-                executionTime: `${executionTime}ms`,
-                stack: error.stack
-              }
-            });
-          }
-        }
-      } catch (notificationError) {
-        console.error('Failed to send error notifications:', notificationError);
-        // Don't fail the execution if notification fails
-      }
+      await this.notifyExecutionError(error, executionTime);
 
       return {
         success: false,
         executionId: this.executionId,
         error: error.message,
+        timedOut: status === 'timed_out',
+        compensation,
         executionTime
       };
+    } finally {
+      clearInterval(cancelWatcher);
+      clearTimeout(deadlineTimer);
+      activeExecutors.delete(this.executionId);
+    }
+  }
+
+  // Send error notification to users in the organization
+  async notifyExecutionError(error, executionTime) {
+    if (this.simulate) return;
+    try {
+      const flowInfo = await query(
+        `SELECT f.name, f.org_id, f.id as flow_id 
+         FROM flows f 
+         WHERE f.id = $1`,
+        [this.flowId]
+      );
+
+      if (flowInfo.rows.length > 0) {
+        const flow = flowInfo.rows[0];
+        
+        // Get all users in the organization
+        const orgUsers = await query(
+          `SELECT id FROM users WHERE org_id = $1`,
+          [flow.org_id]
+        );
+
+        // Send error alert to each user in the org
+        for (const user of orgUsers.rows) {
+          await sendErrorAlert(user.id, {
+            type: 'FLOW_EXECUTION_ERROR',
+            message: error.message,
+            flowName: flow.name,
+            executionId: this.executionId,
+            metadata: {
+              flowId: this.flowId,
+              flowVersion: this.flowVersion,
+              triggerType: this.triggerType,
+              executionTime: `${executionTime}ms`,
+              stack: error.stack
+            }
+          });
+        }
+      }
+    } catch (notificationError) {
+      console.error('Failed to send error notifications:', notificationError);
+      // Don't fail the execution if notification fails
     }
   }
 
+  // Finalise a run stopped by a cancel request or by its deadline. A user
+  // cancel already set status 'cancelled'; a deadline must not override it.
+  // Only a deadline counts as a failure that triggers compensation.
+  async finishCancelled(startTime) {
+    // Another worker (or orphan recovery) owns the execution now: leave its
+    // status and steps alone, and do not compensate work it may continue
+    if (this.cancelReason === 'lease_lost') {
+      await this.log('warn', this.cancellationMessage());
+      return { success: false, leaseLost: true, executionId: this.executionId, executionTime: Date.now() - startTime };
+    }
+
+    const timedOut = this.cancelReason === 'timed_out';
+    const compensation = timedOut ? await this.compensate() : null;
+    const executionTime = Date.now() - startTime;
+    const status = timedOut ? 'timed_out' : 'cancelled';
+    const errorMessage = timedOut ? `Execution exceeded its ${this.timeoutMs}ms deadline` : null;
+
+    await query(
+      `UPDATE flow_executions 
+       SET status = $1, completed_at = COALESCE(completed_at, now()), execution_time_ms = COALESCE(execution_time_ms, 0) + $2,
+           error_message = COALESCE($3, error_message)
+       WHERE id = $4 AND status IN ('running', $1)`,
+      [status, executionTime, errorMessage, this.executionId]
+    );
+
+    if (timedOut) {
+      await this.log('error', errorMessage);
+      await this.notifyExecutionError(new Error(errorMessage), executionTime);
+    } else {
+      await this.log('warn', `Flow execution cancelled after ${executionTime}ms`);
+    }
+
+    return {
+      success: false,
+      cancelled: !timedOut,
+      timedOut,
+      compensation,
+      executionId: this.executionId,
+      executionTime
+    };
+  }
+
+  // Close the steps of a suspended execution that was cancelled while no
+  // worker held it: its waits end as cancelled, its callbacks stop waking it
+  // and nodes that never ran are recorded as skipped, as a running execution
+  // would have done.
+  static async finishCancelledWait(executionId, flowId, flowVersion) {
+    const message = 'Execution cancelled';
+    await query(
+      `UPDATE execution_steps SET status = 'cancelled', completed_at = now(), error_message = $2
+       WHERE execution_id = $1 AND status = 'waiting'`,
+      [executionId, message]
+    );
+    await query(
+      `UPDATE execution_callbacks SET status = 'expired'
+       WHERE execution_id = $1 AND status IN ('waiting', 'received')`,
+      [executionId]
+    );
+
+    const { graph } = await FlowExecutor.loadFlowVersion(flowId, flowVersion);
+    const { rows } = await query(
+      `SELECT node_id FROM execution_steps WHERE execution_id = $1 AND parent_step_id IS NULL`,
+      [executionId]
+    );
+    const recorded = new Set(rows.map(r => r.node_id));
+    for (const node of graph.nodes.filter(n => !recorded.has(n.id))) {
+      await query(
+        `INSERT INTO execution_steps (execution_id, node_id, node_type, node_kind, status, started_at, completed_at, error_message) 
+         VALUES ($1, $2, $3, $4, 'skipped', now(), now(), $5)`,
+        [executionId, node.id, node.type, node.kind, message]
+      );
+    }
+  }
+
+  // Park the execution until its earliest pending wait is due. The queue job
+  // for the wake-up carries it across restarts; execution_time_ms counts
+  // active time only.
+  async suspend(startTime) {
+    const executionTime = Date.now() - startTime;
+    const wakeAt = new Date(Math.min(...[...this.waitingNodes.values()].map(d => d.getTime())));
+
+    const { rowCount } = await query(
+      `UPDATE flow_executions 
+       SET status = 'waiting', wake_at = $1, execution_time_ms = COALESCE(execution_time_ms, 0) + $2 
+       WHERE id = $3 AND status = 'running'`,
+      [wakeAt, executionTime, this.executionId]
+    );
+    if (rowCount > 0) {
+      await ExecutionQueue.enqueue(this.executionId, { runAt: wakeAt });
+      // A callback that landed before the job existed could not wake it
+      if (await ExecutionCallbacks.hasPending(this.executionId)) {
+        await ExecutionQueue.wake(this.executionId);
+      }
+    }
+
+    await this.log('info', `Flow execution waiting until ${wakeAt.toISOString()}`, {
+      waitingNodes: [...this.waitingNodes.keys()]
+    });
+
+    return {
+      success: true,
+      waiting: true,
+      executionId: this.executionId,
+      wakeAt: wakeAt.toISOString(),
+      executionTime
+    };
+  }
+
+  // Pick a suspended execution back up: completed and skipped steps keep
+  // their results, waits that are now due complete, and the rest keep waiting
+  async restoreFromSteps(graph) {
+    const { rows } = await query(
+      `SELECT id, node_id, status, input_data, output_data FROM execution_steps 
+       WHERE execution_id = $1 AND parent_step_id IS NULL
+       ORDER BY completed_at ASC NULLS LAST`,
+      [this.executionId]
+    );
+
+    for (const step of rows) {
+      if (step.status === 'completed' || step.status === 'reused') {
+        this.reusedNodes.add(step.node_id);
+        this.nodeOutputs.set(step.node_id, step.output_data);
+        this.context[step.node_id] = step.output_data;
+        const node = graph.nodes.find(n => n.id === step.node_id);
+        if (step.status === 'completed' && node?.config?.[COMPENSATION_KEY]) {
+          this.compensations.push({ executor: this, node, stepId: step.id, inputData: step.input_data || {}, output: step.output_data });
+        }
+      } else if (step.status === 'skipped') {
+        this.skippedNodes.add(step.node_id);
+      } else if (FlowExecutor.isHandledFailure(step)) {
+        // Routed to its error branch before the execution was suspended
+        this.reusedNodes.add(step.node_id);
+        this.markNodeFailed(step.node_id, step.output_data.error);
+      } else if (step.status === 'waiting') {
+        const node = graph.nodes.find(n => n.id === step.node_id);
+        let output;
+        try {
+          output = await this.resolveStoredWait(step, node);
+        } catch (error) {
+          if (!FlowExecutor.hasErrorBranch(graph, step.node_id)) throw error;
+          this.reusedNodes.add(step.node_id);
+          await this.routeToErrorBranch(node, error, step.id);
+          continue;
+        }
+        if (output === undefined) {
+          this.waitingNodes.set(step.node_id, new Date(step.output_data?.resumeAt));
+          continue;
+        }
+        await query(
+          `UPDATE execution_steps SET status = 'completed', completed_at = now(), output_data = $1 WHERE id = $2`,
+          [JSON.stringify(output), step.id]
+        );
+        await this.log('info', 'Wait finished', { output }, step.id);
+        this.reusedNodes.add(step.node_id);
+        this.nodeOutputs.set(step.node_id, output);
+        this.context[step.node_id] = output;
+      }
+    }
+  }
+
+  // Outcome of a stored wait step on wake-up: its output, or undefined while
+  // it should keep waiting. A callback wait that expired fails the step as
+  // timed_out unless the node sets continueOnTimeout.
+  async resolveStoredWait(step, node) {
+    const resumeAt = new Date(step.output_data?.resumeAt);
+    const due = resumeAt.getTime() <= Date.now();
+
+    if (node?.type !== 'waitForCallback') {
+      return due ? { waitedUntil: resumeAt.toISOString(), resumedAt: new Date().toISOString() } : undefined;
+    }
+
+    // A callback (or the deadline) prompts one last look at the provider
+    const callback = await ExecutionCallbacks.findByStep(step.id);
+    if (callback && (callback.status === 'received' || due)) {
+      const settled = await this.verifyCallback(node, step.input_data || {}, callback.provider, callback.correlation_key, step.id);
+      if (settled) {
+        await ExecutionCallbacks.markConsumed(callback.id);
+        return settled;
+      }
+      if (callback.status === 'received') await ExecutionCallbacks.reopen(callback.id);
+    }
+    if (!due) return undefined;
+
+    if (callback) await ExecutionCallbacks.markConsumed(callback.id, 'expired');
+    if (node.config?.continueOnTimeout) return { timedOut: true };
+
+    const error = new Error(`No callback received by ${resumeAt.toISOString()}`);
+    error.timedOut = true;
+    await query(
+      `UPDATE execution_steps SET status = 'timed_out', completed_at = now(), error_message = $1 WHERE id = $2`,
+      [error.message, step.id]
+    );
+    await this.log('error', `Node failed: ${error.message}`, {}, step.id);
+    throw error;
+  }
+
+  static async loadFlowVersion(flowId, version) {
+    const flowData = await query(
+      `SELECT graph, variables FROM flow_versions WHERE flow_id = $1 AND version = $2`,
+      [flowId, version]
+    );
+
+    if (flowData.rows.length === 0) {
+      throw new Error(`Flow version ${version} not found`);
+    }
+
+    let { graph, variables } = flowData.rows[0];
+
+    // Defensive: sometimes JSON may be returned as a string depending on driver/config
+    if (typeof graph === 'string') {
+      try {
+        graph = JSON.parse(graph);
+      } catch (e) {
+        throw new Error('Flow graph JSON parsing failed: ' + e.message);
+      }
+    }
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch (e) {
+        throw new Error('Flow variables JSON parsing failed: ' + e.message);
+      }
+    }
+
+    // Accept alternate key names (connections) for backward compatibility
+    if (graph && !Array.isArray(graph.edges) && Array.isArray(graph.connections)) {
+      graph.edges = graph.connections;
+    }
+
+    if (!graph || !Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
+      throw new Error('Invalid flow graph structure');
+    }
+
+    return { graph, variables: variables && typeof variables === 'object' ? variables : {} };
+  }
+
+  // All nodes reachable from nodeId, including nodeId itself
+  static collectDescendants(graph, nodeId) {
+    const seen = new Set([nodeId]);
+    const stack = [nodeId];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      for (const edge of graph.edges) {
+        if (edge.from === current && !seen.has(edge.to)) {
+          seen.add(edge.to);
+          stack.push(edge.to);
+        }
+      }
+    }
+    return seen;
+  }
+
+  // All nodes nodeId depends on, excluding nodeId itself
+  static collectAncestors(graph, nodeId) {
+    const seen = new Set();
+    const stack = [nodeId];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      for (const edge of graph.edges) {
+        if (edge.to === current && !seen.has(edge.from)) {
+          seen.add(edge.from);
+          stack.push(edge.from);
+        }
+      }
+    }
+    return seen;
+  }
+
+  // Resuming: reuse outputs of nodes that completed in the original run and
+  // re-run the chosen node, everything downstream of it and anything that
+  // never completed. Reused steps are recorded with status 'reused'; failures
+  // an error branch handled are copied as they were, so their error branch
+  // stays taken and the node is not run again.
+  async rehydrateFromExecution(graph) {
+    const { executionId: sourceExecutionId, nodeId: fromNodeId } = this.resumeFrom;
+    const { rows } = await query(
+      `SELECT node_id, status, error_message, input_data, output_data FROM execution_steps WHERE execution_id = $1`,
+      [sourceExecutionId]
+    );
+    const previousSteps = new Map(rows.map(r => [r.node_id, r]));
+    const rerun = FlowExecutor.collectDescendants(graph, fromNodeId);
+
+    this.idempotencyBase = await this.findOriginExecutionId(sourceExecutionId);
+
+    for (const node of graph.nodes) {
+      if (rerun.has(node.id)) continue;
+      const step = previousSteps.get(node.id);
+
+      if (step?.status === 'completed' || step?.status === 'reused') {
+        this.reusedNodes.add(node.id);
+        this.nodeOutputs.set(node.id, step.output_data);
+        this.context[node.id] = step.output_data;
+        await query(
+          `INSERT INTO execution_steps (execution_id, node_id, node_type, node_kind, status, started_at, completed_at, input_data, output_data, execution_time_ms) 
+           VALUES ($1, $2, $3, $4, 'reused', now(), now(), $5, $6, 0)`,
+          [this.executionId, node.id, node.type, node.kind, JSON.stringify(step.input_data), JSON.stringify(step.output_data)]
+        );
+      } else if (FlowExecutor.isHandledFailure(step)) {
+        this.reusedNodes.add(node.id);
+        this.markNodeFailed(node.id, step.output_data.error);
+        await query(
+          `INSERT INTO execution_steps (execution_id, node_id, node_type, node_kind, status, started_at, completed_at, error_message, input_data, output_data, execution_time_ms) 
+           VALUES ($1, $2, $3, $4, $5, now(), now(), $6, $7, $8, 0)`,
+          [this.executionId, node.id, node.type, node.kind, step.status, step.error_message,
+            JSON.stringify(step.input_data), JSON.stringify(step.output_data)]
+        );
+      } else if (step?.status === 'skipped') {
+        await this.skipNode(node, 'Skipped in the original execution');
+      }
+    }
+
+    await this.log('info', `Resuming execution ${sourceExecutionId} from node ${fromNodeId}`, {
+      resumedFrom: sourceExecutionId,
+      fromNodeId,
+      reusedNodes: [...this.reusedNodes]
+    });
+  }
+
+  // Re-run payment nodes reuse the keys of the run that was first resumed,
+  // so a payment that went through before the failure is not made again
+  async findOriginExecutionId(sourceExecutionId) {
+    const { rows } = await query(
+      `WITH RECURSIVE chain AS (
+         SELECT id, resumed_from_execution_id FROM flow_executions WHERE id = $1
+         UNION ALL
+         SELECT e.id, e.resumed_from_execution_id FROM flow_executions e JOIN chain c ON e.id = c.resumed_from_execution_id
+       )
+       SELECT id FROM chain WHERE resumed_from_execution_id IS NULL`,
+      [sourceExecutionId]
+    );
+    return rows[0]?.id || sourceExecutionId;
+  }
+
   buildExecutionPlan(graph) {
     const { nodes, edges } = graph;
     const adjacency = new Map();
@@ -203,11 +782,103 @@ class FlowExecutor {
     return executionPlan;
   }
 
+  // Dependency-driven scheduler: a node becomes ready once every predecessor
+  // has resolved (run, skipped or reused). On the first failure no new nodes
+  // are started; in-flight ones finish and the error is rethrown.
+  async runGraph(graph, executionPlan) {
+    const nodesById = new Map(executionPlan.map(n => [n.id, n]));
+    const pending = new Map(executionPlan.map(n => [n.id, 0]));
+    const successors = new Map(executionPlan.map(n => [n.id, []]));
+    graph.edges.forEach(edge => {
+      pending.set(edge.to, pending.get(edge.to) + 1);
+      successors.get(edge.from).push(edge.to);
+    });
+
+    const ready = executionPlan.filter(n => pending.get(n.id) === 0);
+    const running = new Map();
+    let failure = null;
+
+    while (ready.length > 0 || running.size > 0) {
+      while (!failure && ready.length > 0 && running.size < this.maxParallelism) {
+        const node = ready.shift();
+        running.set(node.id, this.runScheduledNode(node, graph).then(
+          () => ({ nodeId: node.id }),
+          error => ({ nodeId: node.id, error })
+        ));
+      }
+      if (running.size === 0) break;
+
+      const { nodeId, error } = await Promise.race(running.values());
+      running.delete(nodeId);
+      if (error) {
+        failure = failure || error;
+        continue;
+      }
+      // A suspended wait holds back its successors until the execution wakes
+      if (this.waitingNodes.has(nodeId)) continue;
+
+      for (const nextId of successors.get(nodeId)) {
+        pending.set(nextId, pending.get(nextId) - 1);
+        if (pending.get(nextId) === 0) ready.push(nodesById.get(nextId));
+      }
+    }
+
+    if (failure) throw failure;
+  }
+
+  // Run one scheduled node, skipping it on untaken branches and, once
+  // cancelled, skipping everything that has not started yet
+  async runScheduledNode(node, graph) {
+    if (this.reusedNodes.has(node.id) || this.skippedNodes.has(node.id) || this.waitingNodes.has(node.id)) return;
+    if (await this.refreshCancellation()) {
+      await this.skipNode(node, this.cancellationMessage());
+      return;
+    }
+    const inputEdges = graph.edges.filter(e => e.to === node.id);
+    if (inputEdges.length > 0 && !inputEdges.some(e => this.isEdgeTaken(e))) {
+      await this.skipNode(node, 'No incoming branch was taken');
+      return;
+    }
+    try {
+      await this.executeNode(node, graph);
+    } catch (error) {
+      if (!this.cancelled) throw error;
+    }
+  }
+
+  // An edge is taken when its source ran and, for branching sources such as
+  // condition nodes, the edge's `branch` label matches the branch the source chose.
+  // Edges without a label always follow their source. Error edges are taken
+  // only, and exclusively, when the source failed.
+  isEdgeTaken(edge) {
+    if (this.skippedNodes.has(edge.from) || !this.nodeOutputs.has(edge.from)) return false;
+
+    const label = edge.branch;
+    if (this.failedNodes.has(edge.from)) return label === ERROR_BRANCH;
+    if (label === ERROR_BRANCH) return false;
+    if (label === undefined || label === null || label === '') return true;
+
+    const output = this.nodeOutputs.get(edge.from);
+    if (!output || output.branch === undefined) return true;
+    return String(output.branch) === String(label);
+  }
+
+  async skipNode(node, reason) {
+    this.skippedNodes.add(node.id);
+    const stepId = (await query(
+      `INSERT INTO execution_steps (execution_id, node_id, node_type, node_kind, status, started_at, completed_at, error_message, parent_step_id) 
+       VALUES ($1, $2, $3, $4, 'skipped', now(), now(), $5, $6) RETURNING id`,
+      [this.executionId, this.stepPrefix + node.id, node.type, node.kind, reason, this.parentStepId]
+    )).rows[0]?.id ?? null;
+
+    await this.log('info', `Skipping node: ${node.label || node.id}`, { reason }, stepId);
+  }
+
   async executeNode(node, graph) {
     const stepId = (await query(
-      `INSERT INTO execution_steps (execution_id, node_id, node_type, node_kind, status) 
-       VALUES ($1, $2, $3, $4, 'running') RETURNING id`,
-      [this.executionId, node.id, node.type, node.kind]
+      `INSERT INTO execution_steps (execution_id, node_id, node_type, node_kind, status, started_at, parent_step_id) 
+       VALUES ($1, $2, $3, $4, 'running', now(), $5) RETURNING id`,
+      [this.executionId, this.stepPrefix + node.id, node.type, node.kind, this.parentStepId]
     )).rows[0].id;
 
     const startTime = Date.now();
@@ -218,8 +889,8 @@ class FlowExecutor {
         nodeKind: node.kind
       }, stepId);
 
-      // Get input data from predecessor nodes
-      const inputEdges = graph.edges.filter(e => e.to === node.id);
+      // Get input data from predecessor nodes on taken branches
+      const inputEdges = graph.edges.filter(e => e.to === node.id && this.isEdgeTaken(e));
       const inputData = {};
       
       inputEdges.forEach(edge => {
@@ -229,35 +900,26 @@ class FlowExecutor {
         }
       });
 
-      // Execute based on node type and kind
-      let output;
-      
-      // Handle special node types
-      if (node.type === 'start') {
-        // Start nodes just pass through the trigger data
-        output = await this.executeTrigger(node, stepId);
-      } else if (node.type === 'end') {
-        // End nodes collect all inputs and mark completion
-        output = { completed: true, inputs: inputData, timestamp: new Date().toISOString() };
-        await this.log('info', 'Flow reached end node', { output }, stepId);
-      } else if (node.type === 'trigger') {
-        output = await this.executeTrigger(node, stepId);
-      } else if (node.type === 'condition') {
-        output = await this.executeCondition(node, inputData, stepId);
-      } else if (node.type === 'transform') {
-        output = await this.executeTransform(node, inputData, stepId);
-      } else if (node.kind === 'api' || node.type.includes('.') || node.type === 'action') {
-        // API nodes (MTN, Flutterwave, HTTP, etc.)
-        output = await this.executeAction(node, inputData, stepId);
-      } else {
-        // Default to action for unknown types
-        await this.log('warn', `Unknown node type '${node.type}', treating as action`, {}, stepId);
-        output = await this.executeAction(node, inputData, stepId);
+      // Resolve {{ }} placeholders in the node config against the current context
+      const resolvedNode = this.resolveNodeConfig(node, inputData);
+      const output = await this.runWithRetry(resolvedNode, inputData, stepId);
+
+      if (output?.[SUSPEND]) {
+        this.waitingNodes.set(node.id, output.resumeAt);
+        await query(
+          `UPDATE execution_steps SET status = 'waiting', input_data = $1, output_data = $2 WHERE id = $3`,
+          [JSON.stringify(inputData), JSON.stringify({ resumeAt: output.resumeAt.toISOString() }), stepId]
+        );
+        await this.log('info', `Node waiting until ${output.resumeAt.toISOString()}`, {}, stepId);
+        return;
       }
 
       // Store output
       this.nodeOutputs.set(node.id, output);
       this.context[node.id] = output;
+      if (node.config?.[COMPENSATION_KEY]) {
+        this.compensations.push({ executor: this, node, stepId, inputData, output });
+      }
 
       const executionTime = Date.now() - startTime;
       await query(
@@ -271,20 +933,48 @@ class FlowExecutor {
 
     } catch (error) {
       const executionTime = Date.now() - startTime;
+
+      // Aborted by a cancel request or the execution deadline: not a node
+      // failure, so no per-node alerts
+      if (this.cancelled) {
+        await query(
+          `UPDATE execution_steps 
+           SET status = $1, completed_at = now(), error_message = $2, execution_time_ms = $3 
+           WHERE id = $4`,
+          [this.cancelReason, this.cancellationMessage(), executionTime, stepId]
+        );
+        await this.log('warn', `Node aborted: ${this.cancellationMessage().toLowerCase()}`, {}, stepId);
+        throw error;
+      }
+
+      // Handlers may attach error.output (e.g. provider failure details) for the step record
+      const handled = FlowExecutor.hasErrorBranch(graph, node.id);
       await query(
         `UPDATE execution_steps 
-         SET status = 'failed', completed_at = now(), error_message = $1, execution_time_ms = $2 
-         WHERE id = $3`,
-        [error.message, executionTime, stepId]
+         SET status = $1, completed_at = now(), error_message = $2, execution_time_ms = $3,
+             output_data = COALESCE($4, output_data) 
+         WHERE id = $5`,
+        [
+          error.timedOut ? 'timed_out' : 'failed',
+          error.message,
+          executionTime,
+          error.output !== undefined ? JSON.stringify(error.output) : null,
+          stepId
+        ]
       );
 
+      if (handled) {
+        await this.routeToErrorBranch(node, error, stepId);
+        return;
+      }
+
       await this.log('error', `Node failed: ${error.message}`, {
         error: error.stack
       }, stepId);
 
-      // Send error notification for critical node failures
+      // Send error notification for critical node failures (not for dry runs)
       try {
-        const flowInfo = await query(
+        const flowInfo = this.simulate ? { rows: [] } : await query(
           `SELECT f.name, f.org_id FROM flows f WHERE f.id = $1`,
           [this.flowId]
         );
@@ -319,6 +1009,253 @@ class FlowExecutor {
     }
   }
 
+  // A stored step that failed and went down its error branch (which recorded
+  // the error details as the step's output)
+  static isHandledFailure(step) {
+    return ['failed', 'timed_out'].includes(step?.status) && Boolean(step.output_data?.error);
+  }
+
+  static hasErrorBranch(graph, nodeId) {
+    return graph.edges.some(e => e.from === nodeId && e.branch === ERROR_BRANCH);
+  }
+
+  // Handle a node failure through the node's error branch: the error details
+  // become its output (and `error` in the scope of the nodes downstream)
+  async routeToErrorBranch(node, error, stepId) {
+    const details = {
+      message: error.message,
+      code: error.code || null,
+      status: getStatusCode(error),
+      timedOut: Boolean(error.timedOut),
+      nodeId: this.stepPrefix + node.id,
+      nodeType: node.type,
+      output: error.output ?? null,
+      failedAt: new Date().toISOString()
+    };
+    this.markNodeFailed(node.id, details);
+    await query(
+      `UPDATE execution_steps SET output_data = $1 WHERE id = $2`,
+      [JSON.stringify({ error: details }), stepId]
+    );
+    await this.log('warn', `Node failed, continuing on its error branch: ${error.message}`, {
+      error: error.stack
+    }, stepId);
+  }
+
+  markNodeFailed(nodeId, details) {
+    this.failedNodes.set(nodeId, details);
+    this.nodeOutputs.set(nodeId, { error: details });
+    this.context[nodeId] = { error: details };
+    this.handledErrors.push(details);
+  }
+
+  resolveNodeConfig(node, inputData, scope = null) {
+    if (!node.config || !hasPlaceholders(node.config)) return node;
+    const rawKeys = [RAW_CONFIG_KEYS[node.type] ?? RAW_CONFIG_KEYS[node.kind], COMPENSATION_KEY].filter(Boolean);
+    const config = { ...node.config };
+    const raw = {};
+    for (const key of rawKeys) {
+      if (config[key] === undefined) continue;
+      raw[key] = config[key];
+      delete config[key];
+    }
+    const resolveScope = scope || this.buildExpressionScope(inputData);
+    const escaped = ESCAPED_CONFIG_KEYS[node.type] ?? ESCAPED_CONFIG_KEYS[node.kind] ?? {};
+    for (const [key, escape] of Object.entries(escaped)) {
+      if (typeof config[key] !== 'string') continue;
+      raw[key] = interpolate(config[key], resolveScope, `config.${key}`, { escape });
+      delete config[key];
+    }
+    const resolved = interpolate(config, resolveScope, 'config');
+    return { ...node, config: { ...resolved, ...raw } };
+  }
+
+  // Saga compensation for a failed run: every completed step whose node
+  // declares config.compensation ({ type, kind, config }, like a node) is
+  // undone, most recent first. The compensation's templates see the step's
+  // result as `output`. Each runs as its own step ("<node>:compensate",
+  // compensates_step_id) and a failing one does not stop the rest.
+  async compensate() {
+    if (this.compensations.length === 0) return null;
+
+    // A timed-out run has already fired its abort signal, which the handlers honour
+    if (this.abortController.signal.aborted) this.abortController = new AbortController();
+
+    const pending = [...this.compensations].reverse();
+    this.compensations.length = 0;
+    await this.log('warn', `Compensating ${pending.length} completed step(s)`, {
+      nodes: pending.map(entry => entry.executor.stepPrefix + entry.node.id)
+    });
+
+    const summary = { compensated: 0, failed: 0 };
+    for (const entry of pending) {
+      if (await this.runCompensation(entry)) summary.compensated++;
+      else summary.failed++;
+    }
+
+    if (summary.failed > 0) {
+      await this.log('error', `${summary.failed} compensation(s) failed; manual reversal may be needed`, summary);
+    } else {
+      await this.log('info', `All ${summary.compensated} compensation(s) completed`, summary);
+    }
+    return summary;
+  }
+
+  async runCompensation({ executor: owner, node, stepId: compensatedStepId, inputData, output }) {
+    const spec = node.config[COMPENSATION_KEY];
+    // The step may have run on a fork (a loop iteration) whose attempt signal
+    // was aborted when that attempt finished; compensate on the live one
+    const executor = owner.forkAttempt(this.abortController);
+    const compensationNode = {
+      id: `${node.id}:compensate`,
+      label: `Compensate ${node.label || node.id}`,
+      type: spec.type || 'action',
+      kind: spec.kind,
+      config: spec.config || {}
+    };
+
+    const stepId = (await query(
+      `INSERT INTO execution_steps (execution_id, node_id, node_type, node_kind, status, started_at, parent_step_id, compensates_step_id) 
+       VALUES ($1, $2, $3, $4, 'running', now(), $5, $6) RETURNING id`,
+      [this.executionId, executor.stepPrefix + compensationNode.id, compensationNode.type, compensationNode.kind,
+        executor.parentStepId, compensatedStepId]
+    )).rows[0].id;
+    const startTime = Date.now();
+
+    try {
+      const scope = { ...executor.buildExpressionScope(inputData), output };
+      const resolved = executor.resolveNodeConfig(compensationNode, inputData, scope);
+      const result = await executor.runWithRetry(resolved, inputData, stepId);
+      await query(
+        `UPDATE execution_steps 
+         SET status = 'completed', completed_at = now(), input_data = $1, output_data = $2, execution_time_ms = $3 
+         WHERE id = $4`,
+        [JSON.stringify(output), JSON.stringify(result), Date.now() - startTime, stepId]
+      );
+      await this.log('info', `Compensated ${executor.stepPrefix + node.id}`, { output: result }, stepId);
+      return true;
+    } catch (error) {
+      await query(
+        `UPDATE execution_steps 
+         SET status = $1, completed_at = now(), error_message = $2, execution_time_ms = $3,
+             input_data = $4, output_data = $5 
+         WHERE id = $6`,
+        [error.timedOut ? 'timed_out' : 'failed', error.message, Date.now() - startTime,
+          JSON.stringify(output), error.output !== undefined ? JSON.stringify(error.output) : null, stepId]
+      );
+      await this.log('error', `Compensation of ${executor.stepPrefix + node.id} failed: ${error.message}`, {
+        error: error.stack
+      }, stepId);
+      return false;
+    }
+  }
+
+  // Run a node under its retry policy (config.retry); every failed attempt is
+  // logged and counted in execution_steps.retry_count
+  async runWithRetry(node, inputData, stepId) {
+    // Loops are not retried as a whole (body nodes carry their own policies)
+    const policy = normalizeRetryPolicy(node.type === 'loop' ? null : node.config?.retry);
+    // Per-attempt timeout; 0 disables it. Loops, sub-flows and waits only
+    // time out when given an explicit timeoutMs
+    const defaultTimeoutMs = ['loop', 'subflow', 'delay', 'waitUntil', 'waitForCallback'].includes(node.type)
+      ? 0
+      : DEFAULT_NODE_TIMEOUT_MS;
+    const nodeTimeoutMs = Number(node.config?.timeoutMs ?? defaultTimeoutMs) || 0;
+
+    for (let attempt = 1; ; attempt++) {
+      const attemptController = this.linkedAbortController();
+      let output;
+      try {
+        output = await this.withCancellation(
+          this.withTimeout(
+            this.forkAttempt(attemptController).runNodeHandler(node, inputData, stepId),
+            nodeTimeoutMs,
+            `Node ${node.id}`
+          )
+        );
+      } catch (error) {
+        // Stop whatever the attempt still has in flight (a timed-out provider
+        // call) before a retry can submit it again
+        attemptController.abort();
+        if (this.cancelled || attempt >= policy.maxAttempts || !isRetryableError(error, policy)) {
+          if (policy.maxAttempts > 1) {
+            await this.log('error', `Attempt ${attempt}/${policy.maxAttempts} failed, not retrying: ${error.message}`, {
+              attempt,
+              statusCode: getStatusCode(error),
+              code: error.code
+            }, stepId);
+          }
+          throw error;
+        }
+        await this.scheduleRetry(policy, attempt, stepId, error.message, getStatusCode(error));
+        continue;
+      }
+      attemptController.abort(); // Unlinks the finished attempt from the execution signal
+
+      // HTTP nodes report non-2xx responses in their output instead of throwing
+      if (attempt < policy.maxAttempts && isRetryableStatus(output?.status, policy)) {
+        await this.scheduleRetry(policy, attempt, stepId, `received status ${output.status}`, output.status);
+        continue;
+      }
+
+      if (attempt > 1) {
+        await this.log('info', `Attempt ${attempt}/${policy.maxAttempts} succeeded`, { attempt }, stepId);
+      }
+      return output;
+    }
+  }
+
+  async scheduleRetry(policy, attempt, stepId, reason, statusCode) {
+    const delayMs = computeBackoff(policy, attempt);
+    await query(
+      `UPDATE execution_steps SET retry_count = $1 WHERE id = $2`,
+      [attempt, stepId]
+    );
+    await this.log('warn', `Attempt ${attempt}/${policy.maxAttempts} failed: ${reason}; retrying in ${delayMs}ms`, {
+      attempt,
+      statusCode,
+      delayMs
+    }, stepId);
+    await this.withCancellation(sleep(delayMs));
+  }
+
+  async runNodeHandler(node, inputData, stepId) {
+    // Execute based on node type and kind
+    // Handle special node types
+    if (node.type === 'start') {
+      // Start nodes just pass through the trigger data
+      return await this.executeTrigger(node, stepId);
+    } else if (node.type === 'end') {
+      // End nodes collect all inputs and mark completion
+      const output = { completed: true, inputs: inputData, timestamp: new Date().toISOString() };
+      await this.log('info', 'Flow reached end node', { output }, stepId);
+      return output;
+    } else if (node.type === 'trigger') {
+      return await this.executeTrigger(node, stepId);
+    } else if (node.type === 'condition') {
+      return await this.executeCondition(node, inputData, stepId);
+    } else if (node.type === 'transform') {
+      return await this.executeTransform(node, inputData, stepId);
+    } else if (node.type === 'loop') {
+      return await this.executeLoop(node, inputData, stepId);
+    } else if (node.type === 'subflow') {
+      return await this.executeSubflow(node, stepId);
+    } else if (node.type === 'delay' || node.type === 'waitUntil') {
+      return await this.executeWait(node, stepId);
+    } else if (node.type === 'waitForCallback') {
+      return await this.executeWaitForCallback(node, inputData, stepId);
+    } else if (node.type === 'code') {
+      return await this.executeCode(node, inputData, stepId);
+    } else if (node.kind === 'api' || node.type.includes('.') || node.type === 'action') {
+      // API nodes (MTN, Flutterwave, HTTP, etc.)
+      return await this.executeAction(node, inputData, stepId);
+    } else {
+      // Default to action for unknown types
+      await this.log('warn', `Unknown node type '${node.type}', treating as action`, {}, stepId);
+      return await this.executeAction(node, inputData, stepId);
+    }
+  }
+
   async executeTrigger(node, stepId) {
     // Triggers provide initial data from the trigger source
     await this.log('info', 'Trigger node activated', { triggerData: this.triggerData }, stepId);
@@ -327,6 +1264,18 @@ class FlowExecutor {
 
   async executeAction(node, inputData, stepId) {
     const { kind } = node;
+
+    if (this.simulate) {
+      return await this.simulateNode(node, inputData, stepId);
+    }
+
+    // Provider nodes are identified by their type prefix (e.g. 'mtn.requestToPay')
+    if (typeof node.type === 'string' && node.type.startsWith('mtn.')) {
+      return await this.executeMtnAction(node, inputData, stepId);
+    }
+    if (typeof node.type === 'string' && node.type.startsWith('fW.')) {
+      return await this.executeFlutterwaveAction(node, inputData, stepId);
+    }
     
     switch (kind) {
       case 'http':
@@ -347,42 +1296,328 @@ class FlowExecutor {
     }
   }
 
+  // HTTP request, optionally through a saved "http" connection that supplies
+  // the base URL and auth. config.query adds query params and config.bodyType
+  // picks json, form or multipart. Non-2xx responses are returned as output
+  // unless config.failOnHttpError is set; config.expectStatus and
+  // config.assertions fail the node when the response does not match.
   async executeHttpAction(node, inputData, stepId) {
-    // Execute HTTP request
     const config = node.config || {};
-    const url = config.url || 'https://api.example.com/endpoint';
-    const method = config.method || 'GET';
-    const headers = config.headers || {};
+    const connection = config.connectionId
+      ? await this.loadConnectionConfig(config.connectionId, 'http')
+      : null;
+    const url = connection
+      ? resolveUrl(connection.baseUrl, config.url)
+      : config.url || 'https://api.example.com/endpoint';
+    const method = (config.method || 'GET').toUpperCase();
+    const headers = { ...connection?.headers, ...config.headers };
+    const params = { ...config.query };
     const body = config.body || inputData;
 
-    await this.log('info', `Making ${method} request to ${url}`, { headers, body }, stepId);
+    const inlineSecrets = Object.keys(config.headers || {}).filter(name => SECRET_HEADER_RE.test(name));
+    if (inlineSecrets.length > 0) {
+      await this.log('warn', `Credentials in node headers (${inlineSecrets.join(', ')}) are stored in the flow graph; use a connection instead`, {}, stepId);
+    }
 
-    try {
-      const response = await axios({
-        method,
-        url,
-        headers,
-        data: method !== 'GET' ? body : undefined,
-        timeout: 30000
+    // Logged before auth is added, and with the connection's own header values
+    // masked, so credentials never reach the execution log
+    const loggedHeaders = {
+      ...Object.fromEntries(Object.keys(connection?.headers || {}).map(name => [name, '****'])),
+      ...config.headers
+    };
+    await this.log('info', `Making ${method} request to ${url}`, { headers: loggedHeaders, params, body }, stepId);
+
+    const auth = await buildAuth(connection, { signal: this.abortController.signal });
+
+    const response = await axios({
+      method,
+      url,
+      headers: { ...headers, ...auth.headers },
+      params: { ...params, ...auth.params },
+      data: method !== 'GET' ? encodeHttpBody(config.bodyType, body) : undefined,
+      timeout: Number(config.timeoutMs) || 30000,
+      signal: this.abortController.signal,
+      // Statuses are judged below rather than by axios
+      validateStatus: () => true
+    });
+
+    const ok = response.status >= 200 && response.status < 300;
+    const output = ok
+      ? { status: response.status, headers: response.headers, data: response.data }
+      : { status: response.status, error: response.data, headers: response.headers };
+
+    const expected = config.expectStatus !== undefined && [].concat(config.expectStatus).map(Number).includes(response.status);
+    if (!ok && config.failOnHttpError && !expected) {
+      const error = new Error(`${method} ${url} returned HTTP ${response.status}`);
+      // Lets the node's retry policy match on the status code
+      error.status = response.status;
+      error.output = output;
+      throw error;
+    }
+
+    const failures = checkHttpResponse(response, config);
+    if (failures.length > 0) {
+      await this.log('error', 'Response assertions failed', { failures }, stepId);
+      const error = new Error(`Response assertions failed: ${failures.map(f => f.path ? `${f.path} (${f.check || f.error})` : `status ${f.actual}`).join(', ')}`);
+      error.output = { ...output, assertionFailures: failures };
+      throw error;
+    }
+
+    return output;
+  }
+
+
+  // Resolve a node input: explicit node config wins, then the nearest upstream
+  // output that carries the field, then the trigger data
+  resolveInput(node, inputData, key) {
+    const config = node.config || {};
+    if (config[key] !== undefined && config[key] !== '') return config[key];
+
+    const upstream = Object.values(inputData).reverse();
+    for (const output of upstream) {
+      if (output && typeof output === 'object' && output[key] !== undefined) {
+        return output[key];
+      }
+    }
+
+    return this.triggerData[key];
+  }
+
+  // Dry run: answer a provider, HTTP, database or email node, or a callback
+  // wait, from its mock instead of calling out (see simulation.js)
+  async simulateNode(node, inputData, stepId) {
+    const config = node.config || {};
+    if (config.mockError) throw new Error(String(config.mockError));
+
+    let output;
+    if (config.mock !== undefined) {
+      output = config.mock;
+    } else if (config.mockSchema) {
+      output = generateFromSchema(config.mockSchema);
+    } else {
+      output = sampleResponse(node, {
+        get: key => this.resolveInput(node, inputData, key),
+        referenceId: referenceIdFor(this.idempotencyKey(node)),
+        txRef: this.resolveInput(node, inputData, 'tx_ref') || `tx-${this.idempotencyKey(node)}`
       });
+    }
 
-      return {
-        status: response.status,
-        headers: response.headers,
-        data: response.data
-      };
+    await this.log('info', `Simulated ${node.type}${node.kind ? ` (${node.kind})` : ''}: no provider call made`, { output }, stepId);
+    return output;
+  }
+
+  // Deterministic key for a payment node: config.idempotencyKey, or one
+  // derived from the run and the node (loop iterations included)
+  idempotencyKey(node) {
+    return node.config?.idempotencyKey
+      ? String(node.config.idempotencyKey)
+      : `${this.idempotencyBase}-${this.stepPrefix}${node.id}`;
+  }
+
+  // provider, when given, is the connection type the node requires. Only
+  // connections of the flow's owner or of a user in the flow's organization
+  // are visible; any other id reads as not found.
+  async loadConnectionConfig(connectionId, provider = null) {
+    if (!connectionId) {
+      throw new Error('No connection selected for this node');
+    }
+    const { rows } = await query(
+      `SELECT c.provider, c.config_enc
+       FROM connections c
+       JOIN flows f ON f.id = $2
+       LEFT JOIN users u ON u.id = c.owner_user_id
+       WHERE c.id = $1 AND (c.owner_user_id = f.created_by OR u.org_id = f.org_id)`,
+      [connectionId, this.flowId]
+    );
+    if (rows.length === 0) {
+      throw new Error(`Connection ${connectionId} not found`);
+    }
+    if (provider && rows[0].provider !== provider) {
+      throw new Error(`Connection ${connectionId} is a ${rows[0].provider} connection, not ${provider}`);
+    }
+    return decryptJSON(rows[0].config_enc);
+  }
+
+  async executeMtnAction(node, inputData, stepId) {
+    const operation = node.type.slice('mtn.'.length);
+    const cfg = await this.loadConnectionConfig(this.resolveInput(node, inputData, 'connectionId'));
+    const connector = new MTNConnector({ ...cfg, signal: this.abortController.signal });
+
+    await this.log('info', `Calling MTN MoMo ${operation}`, {
+      baseUrl: connector.baseUrl,
+      targetEnvironment: cfg.targetEnvironment
+    }, stepId);
+
+    try {
+      switch (operation) {
+        case 'requestToPay': {
+          const amount = this.resolveInput(node, inputData, 'amount');
+          const msisdn = this.resolveInput(node, inputData, 'msisdn');
+          if (!amount || !msisdn) {
+            throw new Error('requestToPay requires amount and msisdn');
+          }
+          // The MoMo sandbox only accepts EUR
+          const currency = this.resolveInput(node, inputData, 'currency') || 'EUR';
+          const externalId = this.resolveInput(node, inputData, 'externalId') || this.executionId;
+          // Same node in the same run -> same X-Reference-Id, so retries cannot charge twice
+          const referenceId = referenceIdFor(this.idempotencyKey(node));
+          const result = await connector.requestToPay({
+            amount: String(amount),
+            currency,
+            msisdn: String(msisdn),
+            externalId: String(externalId),
+            referenceId,
+            message: this.resolveInput(node, inputData, 'message'),
+            // Tag the callback with the reference so /webhooks/mtn can correlate it
+            callbackUrl: cfg.callbackUrl ? withQueryParam(cfg.callbackUrl, 'referenceId', referenceId) : undefined
+          });
+          return {
+            ...result,
+            amount: String(amount),
+            currency,
+            msisdn: String(msisdn),
+            externalId: String(externalId),
+            // Lets a downstream wait-for-callback node check the status
+            connectionId: this.resolveInput(node, inputData, 'connectionId')
+          };
+        }
+
+        case 'checkStatus': {
+          const referenceId = this.resolveInput(node, inputData, 'referenceId');
+          if (!referenceId) {
+            throw new Error('checkStatus requires a referenceId (from config or an upstream requestToPay node)');
+          }
+          const data = await connector.getStatus(referenceId);
+          return {
+            referenceId,
+            status: data.status,
+            financialTransactionId: data.financialTransactionId || null,
+            reason: data.reason || null,
+            amount: data.amount,
+            currency: data.currency,
+            msisdn: data.payer?.partyId,
+            raw: data
+          };
+        }
+
+        case 'getBalance': {
+          const data = await connector.getBalance();
+          return { availableBalance: data.availableBalance, currency: data.currency };
+        }
+
+        case 'getAccountHolder': {
+          const msisdn = this.resolveInput(node, inputData, 'msisdn');
+          if (!msisdn) {
+            throw new Error('getAccountHolder requires msisdn');
+          }
+          const data = await connector.getAccountHolder(msisdn);
+          return { msisdn: String(msisdn), active: data?.result === true, raw: data };
+        }
+
+        default:
+          throw new Error(`Unsupported MTN operation '${operation}'`);
+      }
     } catch (error) {
+      // Surface the provider response body rather than axios' generic message
       if (error.response) {
-        return {
-          status: error.response.status,
-          error: error.response.data,
-          headers: error.response.headers
-        };
+        const detail = typeof error.response.data === 'string'
+          ? error.response.data
+          : JSON.stringify(error.response.data);
+        const wrapped = new Error(`MTN ${operation} failed (${error.response.status}): ${detail}`);
+        wrapped.status = error.response.status;
+        throw wrapped;
       }
       throw error;
     }
   }
 
+  // Flutterwave connectors live in the per-user connector store, keyed by the
+  // flow owner. A flow without an owner fails the node rather than borrowing
+  // another user's connectors.
+  async getFlowOwnerId() {
+    if (this.flowOwnerId === undefined) {
+      const { rows } = await query(`SELECT created_by FROM flows WHERE id = $1`, [this.flowId]);
+      this.flowOwnerId = rows[0]?.created_by || null;
+    }
+    if (!this.flowOwnerId) {
+      throw new Error(`Flow ${this.flowId} has no owner, so its Flutterwave connectors cannot be resolved`);
+    }
+    return this.flowOwnerId;
+  }
+
+  async executeFlutterwaveAction(node, inputData, stepId) {
+    const operation = node.type.slice('fW.'.length);
+    const connectorId = this.resolveInput(node, inputData, 'connectorId');
+    if (!connectorId) {
+      throw new Error('No Flutterwave connector selected for this node');
+    }
+
+    const creds = getConnectorSecret(await this.getFlowOwnerId(), connectorId);
+    if (!creds) {
+      throw new Error(`Flutterwave connector ${connectorId} not found`);
+    }
+    const fw = flutterwaveClient({
+      secretKey: creds.secretKey,
+      baseUrl: FLW_BASE_URL,
+      signal: this.abortController.signal
+    });
+
+    await this.log('info', `Calling Flutterwave ${operation}`, { connectorId }, stepId);
+
+    try {
+      switch (operation) {
+        case 'fWPayment': {
+          const amount = this.resolveInput(node, inputData, 'amount');
+          const customer = this.resolveInput(node, inputData, 'customer')
+            || { email: this.resolveInput(node, inputData, 'email') };
+          if (!amount || !customer?.email) {
+            throw new Error('Payment requires amount and customer.email');
+          }
+          const txRef = this.resolveInput(node, inputData, 'tx_ref') || `tx-${this.idempotencyKey(node)}`;
+          const resp = await fw.createPayment({
+            amount,
+            currency: this.resolveInput(node, inputData, 'currency') || 'NGN',
+            tx_ref: txRef,
+            customer,
+            meta: this.resolveInput(node, inputData, 'meta'),
+            redirect_url: this.resolveInput(node, inputData, 'redirect_url')
+          });
+          return { tx_ref: txRef, status: resp.status, link: resp.data?.link || null, connectorId, raw: resp };
+        }
+
+        case 'fWVerifyPayment': {
+          const txRef = this.resolveInput(node, inputData, 'tx_ref');
+          if (!txRef) {
+            throw new Error('Verify Payment requires a tx_ref (from config or an upstream Payment node)');
+          }
+          const resp = await fw.verifyByReference(txRef);
+          return {
+            tx_ref: txRef,
+            status: resp.data?.status || resp.status,
+            transactionId: resp.data?.id || null,
+            amount: resp.data?.amount,
+            currency: resp.data?.currency,
+            raw: resp
+          };
+        }
+
+        case 'fWPing': {
+          await fw.ping();
+          return { ok: true };
+        }
+
+        default:
+          throw new Error(`Unsupported Flutterwave operation '${operation}'`);
+      }
+    } catch (error) {
+      // Keep status/code so retry policies can classify the failure
+      const wrapped = new Error(`Flutterwave ${operation} failed: ${error.message}`);
+      wrapped.status = error.status;
+      wrapped.code = error.code;
+      throw wrapped;
+    }
+  }
+
   async executeSalesforceAction(node, inputData, stepId) {
     await this.log('info', 'Salesforce action (mock)', { inputData }, stepId);
     // Mock Salesforce integration
@@ -393,50 +1628,140 @@ class FlowExecutor {
     };
   }
 
+  // Run a select, insert or update against a Postgres connection. config.sql
+  // uses $1..$n placeholders bound from config.params, whose {{ }} templates
+  // are resolved against the context like any other config value.
   async executeDatabaseAction(node, inputData, stepId) {
-    await this.log('info', 'Database action (mock)', { inputData }, stepId);
-    // Mock database operation
-    return {
-      success: true,
-      rowsAffected: 1,
-      message: 'Database operation completed (mock)'
-    };
+    const config = node.config || {};
+    const connectionId = this.resolveInput(node, inputData, 'connectionId');
+    const cfg = await this.loadConnectionConfig(connectionId, 'postgres');
+
+    const operation = String(config.operation || 'select').toLowerCase();
+    const params = config.params === undefined ? [] : config.params;
+    if (!Array.isArray(params)) throw new Error('config.params must be an array of bind values');
+
+    await this.log('info', `Running database ${operation}`, {
+      sql: config.sql,
+      paramCount: params.length
+    }, stepId);
+
+    const result = await this.withCancellation(runStatement(getPool(connectionId, cfg), {
+      operation,
+      sql: config.sql,
+      params,
+      maxRows: config.maxRows,
+      statementTimeoutMs: config.statementTimeoutMs
+    }));
+
+    if (result.truncated) {
+      await this.log('warn', `Result truncated to ${result.rowCount} rows (maxRows)`, {}, stepId);
+    }
+    return { success: true, operation, ...result };
   }
 
+  // Send through mailer.js (SMTP or SendGrid). config.to / config.cc take an
+  // address list; subject, text and html are templated like any node config,
+  // with values HTML-escaped inside html. Recipients come from config only
+  // (templates included), never implicitly from upstream outputs or a webhook
+  // payload.
   async executeEmailAction(node, inputData, stepId) {
-    await this.log('info', 'Email action (mock)', { inputData }, stepId);
-    // Mock email sending
-    return {
+    const config = node.config || {};
+    const to = parseRecipients(config.to);
+    const cc = parseRecipients(config.cc);
+    const subject = config.subject;
+    const text = config.text ?? config.body;
+    const html = config.html;
+
+    if (to.length === 0) throw new Error('Email action requires at least one recipient in config.to');
+    const invalid = [...to, ...cc].filter(address => !EMAIL_RE.test(address));
+    if (invalid.length > 0) throw new Error(`Invalid email address(es): ${invalid.join(', ')}`);
+    if (!subject) throw new Error('Email action requires config.subject');
+    if (!text && !html) throw new Error('Email action requires config.text or config.html');
+
+    await this.log('info', `Sending email to ${to.join(', ')}`, { to, cc, subject }, stepId);
+
+    let result;
+    try {
+      result = await this.withCancellation(sendMail({ to, cc, subject, text, html }));
+    } catch (error) {
+      const details = {
+        code: error.code || null,
+        responseCode: error.responseCode || null,
+        response: error.response || null,
+        rejected: error.rejected || []
+      };
+      await this.log('error', `Email delivery failed: ${error.message}`, details, stepId);
+      error.output = { success: false, to, cc, subject, error: error.message, ...details };
+      throw error;
+    }
+
+    const output = {
       success: true,
-      messageId: 'EMAIL_' + Math.random().toString(36).substr(2, 9),
-      message: 'Email sent (mock)'
+      messageId: result?.messageId || null,
+      accepted: result?.accepted || [],
+      rejected: result?.rejected || [],
+      response: result?.response || null,
+      to,
+      cc,
+      subject
     };
+    await this.log(output.rejected.length > 0 ? 'warn' : 'info',
+      output.rejected.length > 0
+        ? `Email sent, but rejected for ${output.rejected.join(', ')}`
+        : `Email sent: ${output.messageId}`,
+      { response: output.response }, stepId);
+    return output;
   }
 
   async executeCondition(node, inputData, stepId) {
+    // Named cases: the first matching case picks the branch, otherwise the default branch
+    const cases = node.config?.cases;
+    if (Array.isArray(cases) && cases.length > 0) {
+      await this.log('info', `Evaluating ${cases.length} condition cases`, { inputData }, stepId);
+      const match = cases.find(c => this.checkCondition(c.condition, inputData));
+      const branch = match ? match.name : (node.config.defaultBranch || 'default');
+      await this.log('info', `Condition selected branch '${branch}'`, {}, stepId);
+      return { passed: !!match, branch };
+    }
+
     // Evaluate condition and return boolean
-    const condition = node.config?.condition || 'true';
+    const condition = node.config?.condition ?? 'true';
     await this.log('info', `Evaluating condition: ${condition}`, { inputData }, stepId);
-    
-    // Simple condition evaluation (in production, use a proper expression evaluator)
+
+    const result = this.checkCondition(condition, inputData);
+    return { passed: result, branch: String(result), condition };
+  }
+
+  // A condition that cannot be evaluated (missing field, type error) fails
+  // the node rather than quietly taking the false/default branch
+  checkCondition(condition, inputData) {
     try {
-      // This is a simplified version - in production use a safe expression evaluator
-      const result = this.evaluateCondition(condition, inputData);
-      return { passed: result, condition };
+      return this.evaluateCondition(condition, inputData);
     } catch (error) {
-      await this.log('error', `Condition evaluation failed: ${error.message}`, {}, stepId);
-      return { passed: false, error: error.message };
+      throw new Error(`Condition evaluation failed: ${error.message}`);
     }
   }
 
+  // Scope exposed to expressions and templates: node outputs by id (also under
+  // `nodes`), the trigger payload (also spread at the top level for backward
+  // compatibility), version variables and this node's inputs
+  buildExpressionScope(inputData) {
+    // On an error branch, `error` is the failure that led here
+    const failedInput = Object.keys(inputData).find(id => this.failedNodes.has(id));
+    return {
+      ...this.context,
+      trigger: this.triggerData,
+      nodes: Object.fromEntries(this.nodeOutputs),
+      vars: this.variables,
+      input: inputData,
+      error: failedInput ? this.failedNodes.get(failedInput) : null
+    };
+  }
+
   evaluateCondition(condition, data) {
-    // Simple mock condition evaluator
-    // In production, use a library like jsonpath or jmespath
-    if (condition === 'true' || !condition) return true;
-    if (condition === 'false') return false;
-    
-    // Check if any input has data
-    return Object.keys(data).length > 0;
+    if (condition === undefined || condition === null || condition === '') return true;
+    if (typeof condition === 'boolean') return condition;
+    return Boolean(evaluateExpression(String(condition), this.buildExpressionScope(data)));
   }
 
   async executeTransform(node, inputData, stepId) {
@@ -454,6 +1779,26 @@ class FlowExecutor {
           return Object.assign({}, ...Object.values(inputData));
         }
       
+      case 'map':
+        {
+          // Build an object whose fields are computed from expressions
+          const mappings = node.config?.mappings || {};
+          const scope = this.buildExpressionScope(inputData);
+          const result = {};
+          for (const [field, expression] of Object.entries(mappings)) {
+            try {
+              result[field] = evaluateExpression(String(expression), scope);
+            } catch (error) {
+              throw new Error(`Mapping for '${field}' failed: ${error.message}`);
+            }
+          }
+          return result;
+        }
+
+      case 'mapping':
+        // Declarative spec of paths, defaults and coercions (see mapping.js)
+        return applyMapping(node.config?.spec, this.buildExpressionScope(inputData));
+
       case 'extract':
         {
           // Extract specific fields
@@ -469,6 +1814,375 @@ class FlowExecutor {
         return inputData;
     }
   }
+
+  /**
+   * Loop node: runs config.body ({ nodes, edges }) once per item of
+   * config.items (e.g. "{{ trigger.payees }}"). Body nodes see the current
+   * item as `item` and its position as `index`. Up to config.concurrency
+   * iterations (default 1) run at once. A failed iteration is recorded and
+   * the rest carry on, unless config.stopOnError is set.
+   */
+  async executeLoop(node, inputData, stepId) {
+    const config = node.config || {};
+    const items = config.items !== undefined ? config.items : this.resolveInput(node, inputData, 'items');
+    if (!Array.isArray(items)) {
+      throw new Error(`Loop items must be an array, got ${items === null ? 'null' : typeof items}`);
+    }
+
+    const body = {
+      nodes: Array.isArray(config.body?.nodes) ? config.body.nodes : [],
+      edges: Array.isArray(config.body?.edges) ? config.body.edges : []
+    };
+    if (body.nodes.length === 0) throw new Error('Loop body has no nodes');
+    const bodyPlan = this.buildExecutionPlan(body);
+
+    const concurrency = Math.max(1, Math.floor(Number(config.concurrency) || 1));
+    const stopOnError = Boolean(config.stopOnError);
+    const results = items.map((item, index) => ({ index, item, status: 'skipped' }));
+
+    await this.log('info', `Looping over ${items.length} item(s) with concurrency ${concurrency}`, {}, stepId);
+
+    let next = 0;
+    let stopped = false;
+    const worker = async () => {
+      while (next < items.length && !stopped && !this.cancelled) {
+        const index = next++;
+        results[index] = await this.runLoopIteration(node, body, bodyPlan, items[index], index, stepId);
+        if (results[index].status === 'failed' && stopOnError) stopped = true;
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+    if (this.cancelled) throw new Error(this.cancellationMessage());
+
+    const failures = results.filter(r => r.status === 'failed');
+    const output = {
+      total: items.length,
+      succeeded: results.filter(r => r.status === 'completed').length,
+      failed: failures.length,
+      successes: results.filter(r => r.status === 'completed').map(r => r.output),
+      failures: failures.map(({ index, item, error }) => ({ index, item, error })),
+      results
+    };
+
+    await this.log(failures.length > 0 ? 'warn' : 'info',
+      `Loop finished: ${output.succeeded} succeeded, ${output.failed} failed`, {}, stepId);
+
+    if (stopped) {
+      throw new Error(`Loop stopped after iteration ${failures[0].index} failed: ${failures[0].error}`);
+    }
+    return output;
+  }
+
+  // Run the loop body for one item on a forked executor and record the
+  // iteration as its own step, parent of the body steps it runs
+  async runLoopIteration(node, body, bodyPlan, item, index, loopStepId) {
+    const iterationNodeId = `${this.stepPrefix}${node.id}[${index}]`;
+    const iterationStepId = (await query(
+      `INSERT INTO execution_steps (execution_id, node_id, node_type, node_kind, status, started_at, input_data, parent_step_id, iteration_index) 
+       VALUES ($1, $2, 'iteration', $3, 'running', now(), $4, $5, $6) RETURNING id`,
+      [this.executionId, iterationNodeId, node.kind, JSON.stringify({ item, index }), loopStepId, index]
+    )).rows[0]?.id ?? null;
+    const startTime = Date.now();
+
+    const iteration = this.forkIteration(`${iterationNodeId}.`, iterationStepId, { item, index });
+    let result;
+    try {
+      await iteration.runGraph(body, bodyPlan);
+      if (this.cancelled) throw new Error(this.cancellationMessage());
+
+      // The iteration result is the output of the body's last node(s)
+      const sinks = body.nodes.filter(n => !body.edges.some(e => e.from === n.id) && !iteration.skippedNodes.has(n.id));
+      let output = null;
+      if (sinks.length === 1) output = iteration.nodeOutputs.get(sinks[0].id);
+      else if (sinks.length > 1) output = Object.fromEntries(sinks.map(n => [n.id, iteration.nodeOutputs.get(n.id)]));
+      result = { index, item, status: 'completed', output };
+    } catch (error) {
+      result = { index, item, status: this.cancelled ? this.cancelReason : 'failed', error: error.message };
+    }
+
+    await query(
+      `UPDATE execution_steps 
+       SET status = $1, completed_at = now(), output_data = $2, error_message = $3, execution_time_ms = $4 
+       WHERE id = $5`,
+      [result.status, JSON.stringify(result.output ?? null), result.error ?? null, Date.now() - startTime, iterationStepId]
+    );
+    return result;
+  }
+
+  /**
+   * Sub-flow node: runs another flow of the same organization to completion
+   * and returns its end-node output. config.flowId names the flow,
+   * config.version pins a version (default 'latest') and config.inputs
+   * becomes the child's trigger data.
+   */
+  async executeSubflow(node, stepId) {
+    const config = node.config || {};
+    if (!config.flowId) throw new Error('Sub-flow node requires config.flowId');
+
+    await this.log('info', `Calling sub-flow ${config.flowId} (version ${config.version ?? 'latest'})`, {
+      inputs: config.inputs ?? {}
+    }, stepId);
+
+    const result = await ExecutionService.runSubflow({
+      flowId: config.flowId,
+      version: config.version ?? 'latest',
+      inputs: config.inputs ?? {},
+      parentExecutionId: this.executionId,
+      parentStepId: stepId,
+      timeoutMs: config.timeoutMs,
+      simulate: this.simulate,
+      signal: this.abortController.signal
+    });
+
+    await this.log('info', `Sub-flow execution ${result.executionId} completed`, {
+      childExecutionId: result.executionId
+    }, stepId);
+    return result;
+  }
+
+  /**
+   * Code node: runs config.code, the body of an async function of
+   * (input, context), in the sandbox (see codeSandbox.js). `input` holds the
+   * upstream outputs, `context` the trigger data, node outputs and variables.
+   * The return value is the node output; console calls go to execution_logs.
+   * config.timeLimitMs (default 1000) and config.memoryLimitMb (default 64)
+   * set the limits.
+   */
+  async executeCode(node, inputData, stepId) {
+    const config = node.config || {};
+    if (typeof config.code !== 'string' || config.code.trim() === '') {
+      throw new Error('Code node requires config.code');
+    }
+
+    const scope = this.buildExpressionScope(inputData);
+    const writeLogs = async logs => {
+      for (const { level, message } of logs || []) {
+        await this.log(level, `[code] ${message}`, {}, stepId);
+      }
+    };
+
+    try {
+      const { output, logs } = await runCode(config.code, {
+        input: inputData,
+        context: { trigger: scope.trigger, nodes: scope.nodes, vars: scope.vars, executionId: this.executionId }
+      }, {
+        timeLimitMs: config.timeLimitMs,
+        memoryLimitMb: config.memoryLimitMb,
+        signal: this.abortController.signal
+      });
+      await writeLogs(logs);
+      return output;
+    } catch (error) {
+      await writeLogs(error.logs);
+      throw error;
+    }
+  }
+
+  /**
+   * Delay and wait-until nodes.
+   * - delay: waits config.delayMs, or the sum of config.seconds/minutes/hours/days
+   * - waitUntil: waits until config.until (a timestamp, e.g. "{{ trigger.remindAt }}")
+   *   or the next occurrence of config.time ("HH:MM", UTC)
+   * Short waits, and waits inside loops and sub-flows, sleep in memory. Longer
+   * ones suspend the execution, which a worker resumes when the time comes.
+   */
+  async executeWait(node, stepId) {
+    const resumeAt = FlowExecutor.computeWakeTime(node);
+    const waitMs = resumeAt.getTime() - Date.now();
+
+    if (this.simulate) {
+      await this.log('info', `Simulated wait until ${resumeAt.toISOString()}: continuing immediately`, {}, stepId);
+      return { waitedUntil: resumeAt.toISOString(), resumedAt: new Date().toISOString(), simulated: true };
+    }
+
+    const canSuspend = this.options.canSuspend !== false && !this.stepPrefix;
+
+    if (waitMs > SUSPEND_THRESHOLD_MS && canSuspend) {
+      return { [SUSPEND]: true, resumeAt };
+    }
+
+    if (waitMs > 0) {
+      await this.log('info', `Waiting ${waitMs}ms until ${resumeAt.toISOString()}`, {}, stepId);
+      await this.withCancellation(sleep(waitMs));
+    }
+    return { waitedUntil: resumeAt.toISOString(), resumedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Wait-for-callback node: waits for the provider callback matching
+   * config.referenceId (provider 'mtn') or config.tx_ref (provider
+   * 'flutterwave'), taken from an upstream payment node when not configured.
+   * The callback only wakes the node: it completes once the provider itself
+   * reports a final status (MTN checkStatus / Flutterwave verify, through
+   * connectionId / connectorId from config or the payment node), and that
+   * result becomes the node output. After config.timeoutMs (default 24h) the
+   * node times out, or outputs { timedOut: true } when config.continueOnTimeout
+   * is set.
+   */
+  async executeWaitForCallback(node, inputData, stepId) {
+    const config = node.config || {};
+    const provider = String(config.provider || '').toLowerCase();
+    const keyName = { mtn: 'referenceId', flutterwave: 'tx_ref' }[provider];
+    if (!keyName) throw new Error("Wait-for-callback node requires config.provider 'mtn' or 'flutterwave'");
+
+    const correlationKey = this.resolveInput(node, inputData, keyName);
+    if (!correlationKey) {
+      throw new Error(`Wait-for-callback node requires a ${keyName} (from config or an upstream payment node)`);
+    }
+
+    // Simulated payments never call back
+    if (this.simulate) return await this.simulateNode(node, inputData, stepId);
+
+    const timeoutMs = Number(config.timeoutMs) || DEFAULT_CALLBACK_TIMEOUT_MS;
+    const expiresAt = new Date(Date.now() + timeoutMs);
+    const registration = await ExecutionCallbacks.register({
+      provider,
+      correlationKey,
+      executionId: this.executionId,
+      stepId,
+      nodeId: this.stepPrefix + node.id,
+      expiresAt
+    });
+    await this.log('info', `Waiting for ${provider} callback ${keyName}=${correlationKey}`, {
+      expiresAt: expiresAt.toISOString()
+    }, stepId);
+
+    // The payment may have settled before the node registered
+    const settled = await this.verifyCallback(node, inputData, provider, correlationKey, stepId);
+    if (settled) {
+      await ExecutionCallbacks.markConsumed(registration.id);
+      return settled;
+    }
+
+    if (this.options.canSuspend !== false && !this.stepPrefix) {
+      return { [SUSPEND]: true, resumeAt: expiresAt };
+    }
+
+    // Loops and sub-flows cannot suspend: poll for the callback in memory
+    while (Date.now() < expiresAt.getTime()) {
+      await this.withCancellation(sleep(Math.min(CANCEL_POLL_MS, expiresAt.getTime() - Date.now())));
+      const callback = await ExecutionCallbacks.findByStep(stepId);
+      if (callback?.status === 'received') {
+        const result = await this.verifyCallback(node, inputData, provider, correlationKey, stepId);
+        if (result) {
+          await ExecutionCallbacks.markConsumed(callback.id);
+          return result;
+        }
+        await ExecutionCallbacks.reopen(callback.id);
+      }
+    }
+
+    const result = await this.verifyCallback(node, inputData, provider, correlationKey, stepId);
+    if (result) {
+      await ExecutionCallbacks.markConsumed(registration.id);
+      return result;
+    }
+    await ExecutionCallbacks.markConsumed(registration.id, 'expired');
+    if (config.continueOnTimeout) return { timedOut: true };
+    const error = new Error(`No ${provider} callback received for ${correlationKey} within ${timeoutMs}ms`);
+    error.timedOut = true;
+    throw error;
+  }
+
+  // Read a payment's outcome from the provider. Returns the checkStatus /
+  // verify output once the status is final, undefined while it is not (a
+  // provider HTTP error, e.g. a Flutterwave transaction that does not exist
+  // yet, counts as not final).
+  async verifyCallback(node, inputData, provider, correlationKey, stepId) {
+    const check = provider === 'mtn'
+      ? { ...node, type: 'mtn.checkStatus', config: { ...node.config, referenceId: correlationKey } }
+      : { ...node, type: 'fW.fWVerifyPayment', config: { ...node.config, tx_ref: correlationKey } };
+
+    let result;
+    try {
+      result = provider === 'mtn'
+        ? await this.executeMtnAction(check, inputData, stepId)
+        : await this.executeFlutterwaveAction(check, inputData, stepId);
+    } catch (error) {
+      if (!error.status) throw error;
+      await this.log('warn', `Could not confirm ${provider} payment ${correlationKey}: ${error.message}`, {}, stepId);
+      return undefined;
+    }
+
+    if (!SETTLED_STATUSES[provider].has(String(result.status || '').toUpperCase())) {
+      await this.log('info', `${provider} payment ${correlationKey} is still ${result.status || 'pending'}`, {}, stepId);
+      return undefined;
+    }
+    return result;
+  }
+
+  static computeWakeTime(node, now = new Date()) {
+    const config = node.config || {};
+
+    if (node.type === 'delay') {
+      const ms = config.delayMs !== undefined
+        ? Number(config.delayMs)
+        : (Number(config.seconds) || 0) * 1000 +
+          (Number(config.minutes) || 0) * 60 * 1000 +
+          (Number(config.hours) || 0) * 60 * 60 * 1000 +
+          (Number(config.days) || 0) * 24 * 60 * 60 * 1000;
+      if (!Number.isFinite(ms) || ms < 0) throw new Error('Delay must be a non-negative duration');
+      return new Date(now.getTime() + ms);
+    }
+
+    if (config.until !== undefined && config.until !== null && config.until !== '') {
+      const until = new Date(config.until);
+      if (Number.isNaN(until.getTime())) throw new Error(`Invalid wait-until time: ${config.until}`);
+      return until;
+    }
+
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(config.time || ''));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      throw new Error('Wait-until node requires config.until or config.time ("HH:MM")');
+    }
+    const next = new Date(now);
+    next.setUTCHours(Number(match[1]), Number(match[2]), 0, 0);
+    if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
+    return next;
+  }
+
+  // An AbortController that also aborts when the execution is cancelled
+  linkedAbortController() {
+    const controller = new AbortController();
+    const executionSignal = this.abortController.signal;
+    if (executionSignal.aborted) {
+      controller.abort();
+    } else {
+      const abort = () => controller.abort();
+      executionSignal.addEventListener('abort', abort, { once: true });
+      controller.signal.addEventListener('abort', () => executionSignal.removeEventListener('abort', abort), { once: true });
+    }
+    return controller;
+  }
+
+  // An executor for one node attempt: handlers pass its abortController's
+  // signal to connectors and axios, so aborting the attempt (on its timeout)
+  // cancels only that attempt's requests. Everything else is shared.
+  forkAttempt(abortController) {
+    const attempt = Object.create(this);
+    attempt.abortController = abortController;
+    attempt.cancel = reason => this.cancel(reason);
+    return attempt;
+  }
+
+  // An executor for one loop iteration. It shares this execution's identity,
+  // cancellation and deadline, but keeps its own node outputs so iterations
+  // running side by side do not see each other's results. Its abort signal is
+  // the loop attempt's, so it is only good while that attempt runs.
+  forkIteration(stepPrefix, parentStepId, { item, index }) {
+    const iteration = Object.create(this);
+    iteration.stepPrefix = stepPrefix;
+    iteration.parentStepId = parentStepId;
+    iteration.nodeOutputs = new Map(this.nodeOutputs);
+    iteration.skippedNodes = new Set();
+    iteration.reusedNodes = new Set();
+    iteration.failedNodes = new Map();
+    iteration.context = { ...this.context, item, index };
+    // Cancel the whole execution, not just the fork
+    iteration.cancel = reason => this.cancel(reason);
+    return iteration;
+  }
 }
 
 export default FlowExecutor;
@@ -0,0 +1,87 @@
+// Code node sandbox
+// Runs user JavaScript in a vm context inside a worker thread. The worker gets
+// a V8 heap limit and an empty environment; the vm context has no `process`,
+// `require` or string code generation, and sees only the JSON data passed in.
+// The script's CPU time is capped by the vm timeout and the whole run by a
+// wall-clock limit that terminates the worker.
+
+import { Worker } from 'node:worker_threads';
+
+const WORKER_URL = new URL('./codeSandboxWorker.js', import.meta.url);
+const MAX_TIME_LIMIT_MS = Number(process.env.CODE_NODE_MAX_TIME_LIMIT_MS) || 10000;
+const MAX_MEMORY_LIMIT_MB = Number(process.env.CODE_NODE_MAX_MEMORY_LIMIT_MB) || 256;
+// Time allowed on top of the script's limit for starting and tearing down the worker
+const STARTUP_GRACE_MS = 2000;
+
+function sandboxError(message, { logs = [], timedOut = false } = {}) {
+  const error = new Error(message);
+  error.logs = logs;
+  // Not ETIMEDOUT: a script that ran out of time should not be retried as a network timeout
+  if (timedOut) error.timedOut = true;
+  return error;
+}
+
+/**
+ * Run `code` as the body of an async function of (input, context).
+ * Resolves to { output, logs }, where output is the JSON-serialisable return
+ * value and logs the captured console calls ([{ level, message }]).
+ * Rejects with an Error carrying `.logs`.
+ */
+export function runCode(code, { input = {}, context = {} } = {}, {
+  timeLimitMs = 1000,
+  memoryLimitMb = 64,
+  maxLogs = 100,
+  maxLogLength = 2000,
+  signal
+} = {}) {
+  const limitMs = Math.min(Math.max(1, Number(timeLimitMs) || 1000), MAX_TIME_LIMIT_MS);
+  const limitMb = Math.min(Math.max(8, Number(memoryLimitMb) || 64), MAX_MEMORY_LIMIT_MB);
+
+  let payload;
+  try {
+    payload = JSON.stringify({ input, context });
+  } catch (error) {
+    return Promise.reject(sandboxError(`Code node inputs are not serialisable: ${error.message}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_URL, {
+      workerData: { code: String(code), payload, timeLimitMs: limitMs, maxLogs, maxLogLength },
+      resourceLimits: { maxOldGenerationSizeMb: limitMb, maxYoungGenerationSizeMb: Math.max(2, Math.ceil(limitMb / 8)) },
+      env: {},
+      stdout: true,
+      stderr: true
+    });
+
+    let settled = false;
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(wallClock);
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+      fn(value);
+    };
+
+    const wallClock = setTimeout(() => {
+      finish(reject, sandboxError(`Code exceeded its ${limitMs}ms time limit`, { timedOut: true }));
+    }, limitMs + STARTUP_GRACE_MS);
+    const onAbort = () => finish(reject, sandboxError('Code node aborted'));
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    worker.once('message', message => {
+      if (message.ok) finish(resolve, { output: message.output, logs: message.logs });
+      else finish(reject, sandboxError(message.error, { logs: message.logs, timedOut: message.timedOut }));
+    });
+    worker.once('error', error => {
+      const message = error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? `Code exceeded its ${limitMb}MB memory limit`
+        : `Code node crashed: ${error.message}`;
+      finish(reject, sandboxError(message));
+    });
+    worker.once('exit', exitCode => {
+      finish(reject, sandboxError(`Code node exited unexpectedly (code ${exitCode})`));
+    });
+  });
+}
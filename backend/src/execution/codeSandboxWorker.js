@@ -0,0 +1,84 @@
+// Code node sandbox worker
+// Runs one script in a fresh vm context inside a resource-limited worker
+// thread (see codeSandbox.js). Data enters the context as a JSON string and is
+// parsed there, so scripts never hold a reference to an object from this realm.
+
+import vm from 'node:vm';
+import { parentPort, workerData } from 'node:worker_threads';
+
+const { code, payload, timeLimitMs, maxLogs, maxLogLength } = workerData;
+
+const BOOTSTRAP = `
+  const __logs = [];
+  const __format = args => args.map(arg => {
+    if (typeof arg === 'string') return arg;
+    try { return JSON.stringify(arg); } catch { return String(arg); }
+  }).join(' ');
+  const __logger = level => (...args) => {
+    if (__logs.length < ${Number(maxLogs)}) __logs.push({ level, message: __format(args).slice(0, ${Number(maxLogLength)}) });
+  };
+  globalThis.console = Object.freeze({
+    log: __logger('info'), info: __logger('info'), debug: __logger('debug'),
+    warn: __logger('warn'), error: __logger('error')
+  });
+  globalThis.__getLogs = () => JSON.stringify(__logs);
+  const __data = JSON.parse(__payload);
+  delete globalThis.__payload;
+`;
+
+// A prototype-less sandbox: `this.constructor` must not lead back to this realm's Function
+const sandbox = Object.create(null);
+sandbox.__payload = payload;
+
+const context = vm.createContext(sandbox, {
+  name: 'code-node',
+  codeGeneration: { strings: false, wasm: false },
+  // Run promise jobs inside the time limit too, so awaiting code cannot spin forever
+  microtaskMode: 'afterEvaluate'
+});
+
+const logs = () => {
+  try {
+    return JSON.parse(context.__getLogs());
+  } catch {
+    return [];
+  }
+};
+
+// The context has no timers or I/O, so once its microtasks are drained the
+// script has either settled or is waiting on something that never resolves.
+// The return value must survive JSON (no BigInt, cycles or functions); anything
+// else is reported as an error rather than left unsettled.
+try {
+  const script = new vm.Script(
+    `${BOOTSTRAP}\n(async (input, context) => {\n${code}\n})(__data.input, __data.context).then(\n` +
+    `  value => {\n` +
+    `    let json, reason = '';\n` +
+    `    try { json = JSON.stringify(value === undefined ? null : value); } catch (error) { reason = ': ' + String(error && error.message !== undefined ? error.message : error); }\n` +
+    `    if (typeof json === 'string') globalThis.__result = json;\n` +
+    `    else globalThis.__error = 'Code returned a value that is not serialisable' + (reason || ' (' + typeof value + ')');\n` +
+    `  },\n` +
+    `  error => { globalThis.__error = String(error && error.message !== undefined ? error.message : error); }\n` +
+    `);`,
+    { filename: 'code-node.js' }
+  );
+  script.runInContext(context, { timeout: timeLimitMs });
+
+  if (typeof context.__result === 'string') {
+    parentPort.postMessage({ ok: true, output: JSON.parse(context.__result), logs: logs() });
+  } else {
+    parentPort.postMessage({
+      ok: false,
+      error: typeof context.__error === 'string' ? context.__error : 'Code did not finish: it awaited a value that never resolves',
+      logs: logs()
+    });
+  }
+} catch (error) {
+  const timedOut = error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+  parentPort.postMessage({
+    ok: false,
+    error: timedOut ? `Code exceeded its ${timeLimitMs}ms time limit` : String(error?.message ?? error),
+    timedOut,
+    logs: logs()
+  });
+}
@@ -0,0 +1,413 @@
+// Flow Expression Language
+// Safe evaluator for condition and mapping expressions (no eval / Function).
+// Supports literals, path access into the execution context, comparisons,
+// boolean logic, arithmetic, ternaries and a fixed set of helper functions, e.g.
+//   checkStatus.status == "SUCCESSFUL" && trigger.amount > 1000
+//   upper(trim(trigger.currency)) == "UGX" ? "local" : "fx"
+
+const FORBIDDEN_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null
+};
+
+const WORD_OPERATORS = {
+  and: '&&',
+  or: '||',
+  not: '!'
+};
+
+const THREE_CHAR_OPS = ['===', '!=='];
+const TWO_CHAR_OPS = ['==', '!=', '<=', '>=', '&&', '||'];
+const ONE_CHAR_OPS = ['<', '>', '+', '-', '*', '/', '%', '!', '(', ')', '[', ']', ',', '.', '?', ':'];
+
+function syntaxError(message, pos) {
+  const error = new Error(`${message} at position ${pos}`);
+  error.position = pos;
+  return error;
+}
+
+function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+}
+
+// == compares numerically when one side is a number and the other a numeric
+// string (provider payloads often carry amounts as strings)
+function looseEquals(a, b) {
+  if (a === undefined) a = null;
+  if (b === undefined) b = null;
+  if (typeof a !== typeof b && (typeof a === 'number' || typeof b === 'number')) {
+    return isNumeric(a) && isNumeric(b) && Number(a) === Number(b);
+  }
+  return a === b;
+}
+
+function toNumber(value, op) {
+  if (typeof value === 'number') return value;
+  if (isNumeric(value)) return Number(value);
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  throw new Error(`Operator '${op}' expects numbers, got ${value === undefined ? 'undefined' : JSON.stringify(value)}`);
+}
+
+const FUNCTIONS = Object.freeze({
+  lower: (s) => String(s ?? '').toLowerCase(),
+  upper: (s) => String(s ?? '').toUpperCase(),
+  trim: (s) => String(s ?? '').trim(),
+  length: (v) => {
+    if (v === undefined || v === null) return 0;
+    if (typeof v === 'string' || Array.isArray(v)) return v.length;
+    if (typeof v === 'object') return Object.keys(v).length;
+    return String(v).length;
+  },
+  contains: (haystack, needle) => Array.isArray(haystack)
+    ? haystack.some(item => looseEquals(item, needle))
+    : String(haystack ?? '').includes(String(needle ?? '')),
+  startsWith: (s, prefix) => String(s ?? '').startsWith(String(prefix ?? '')),
+  endsWith: (s, suffix) => String(s ?? '').endsWith(String(suffix ?? '')),
+  substring: (s, start, end) => String(s ?? '').substring(start, end),
+  replace: (s, search, replacement) => String(s ?? '').split(String(search)).join(String(replacement ?? '')),
+  concat: (...parts) => parts.map(p => (p === undefined || p === null ? '' : String(p))).join(''),
+  number: (v) => Number(v),
+  string: (v) => (v === undefined || v === null ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v)),
+  round: (n, digits = 0) => {
+    const factor = 10 ** digits;
+    return Math.round(Number(n) * factor) / factor;
+  },
+  floor: (n) => Math.floor(Number(n)),
+  ceil: (n) => Math.ceil(Number(n)),
+  abs: (n) => Math.abs(Number(n)),
+  min: (...nums) => Math.min(...nums.map(Number)),
+  max: (...nums) => Math.max(...nums.map(Number)),
+  isEmpty: (v) => v === undefined || v === null || v === ''
+    || (Array.isArray(v) && v.length === 0)
+    || (typeof v === 'object' && !Array.isArray(v) && Object.keys(v).length === 0),
+  exists: (v) => v !== undefined && v !== null,
+  coalesce: (...values) => values.find(v => v !== undefined && v !== null) ?? null,
+  now: () => new Date().toISOString()
+});
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(src[i + 1] || ''))) {
+      let j = i;
+      while (j < src.length && /[0-9.]/.test(src[j])) j++;
+      const text = src.slice(i, j);
+      if (isNaN(Number(text))) throw syntaxError(`Invalid number '${text}'`, i);
+      tokens.push({ type: 'num', value: Number(text), pos: i });
+      i = j;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      let value = '';
+      while (j < src.length && src[j] !== ch) {
+        if (src[j] === '\\' && j + 1 < src.length) {
+          const next = src[j + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          j += 2;
+        } else {
+          value += src[j++];
+        }
+      }
+      if (j >= src.length) throw syntaxError('Unterminated string', i);
+      tokens.push({ type: 'str', value, pos: i });
+      i = j + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(ch)) {
+      let j = i;
+      while (j < src.length && /[A-Za-z0-9_$]/.test(src[j])) j++;
+      const word = src.slice(i, j);
+      if (hasOwn(WORD_OPERATORS, word)) {
+        tokens.push({ type: 'op', value: WORD_OPERATORS[word], pos: i });
+      } else {
+        tokens.push({ type: 'ident', value: word, pos: i });
+      }
+      i = j;
+      continue;
+    }
+
+    const op = THREE_CHAR_OPS.find(o => src.startsWith(o, i))
+      || TWO_CHAR_OPS.find(o => src.startsWith(o, i))
+      || ONE_CHAR_OPS.find(o => src.startsWith(o, i));
+    if (!op) throw syntaxError(`Unexpected character '${ch}'`, i);
+    tokens.push({ type: 'op', value: op, pos: i });
+    i += op.length;
+  }
+
+  tokens.push({ type: 'eof', pos: src.length });
+  return tokens;
+}
+
+// Recursive-descent parser, lowest to highest precedence:
+// ternary, ||, &&, equality, comparison, additive, multiplicative, unary, postfix
+function parse(src) {
+  const tokens = tokenize(src);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (...ops) => peek().type === 'op' && ops.includes(peek().value);
+  const next = () => tokens[index++];
+  const describe = (tok) => (tok.type === 'eof' ? 'end of expression' : `'${tok.value}'`);
+  const expect = (op) => {
+    if (!isOp(op)) throw syntaxError(`Expected '${op}' but found ${describe(peek())}`, peek().pos);
+    return next();
+  };
+
+  const binary = (parseOperand, ops, type = 'Binary') => () => {
+    let left = parseOperand();
+    while (isOp(...ops)) {
+      const op = next().value;
+      left = { type, op, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  function parsePrimary() {
+    const tok = next();
+    if (tok.type === 'num' || tok.type === 'str') return { type: 'Literal', value: tok.value };
+    if (tok.type === 'ident') {
+      if (hasOwn(KEYWORDS, tok.value)) return { type: 'Literal', value: KEYWORDS[tok.value] };
+      if (isOp('(')) {
+        if (!hasOwn(FUNCTIONS, tok.value)) throw syntaxError(`Unknown function '${tok.value}'`, tok.pos);
+        next();
+        const args = [];
+        if (!isOp(')')) {
+          do {
+            args.push(parseTernary());
+          } while (isOp(',') && next());
+        }
+        expect(')');
+        return { type: 'Call', name: tok.value, args };
+      }
+      return { type: 'Identifier', name: tok.value };
+    }
+    if (tok.type === 'op' && tok.value === '(') {
+      const expr = parseTernary();
+      expect(')');
+      return expr;
+    }
+    throw syntaxError(`Unexpected ${describe(tok)}`, tok.pos);
+  }
+
+  function parsePostfix() {
+    let expr = parsePrimary();
+    while (isOp('.', '[')) {
+      if (next().value === '.') {
+        const prop = next();
+        if (prop.type !== 'ident') throw syntaxError(`Expected property name after '.' but found ${describe(prop)}`, prop.pos);
+        expr = { type: 'Member', object: expr, property: { type: 'Literal', value: prop.value } };
+      } else {
+        const property = parseTernary();
+        expect(']');
+        expr = { type: 'Member', object: expr, property };
+      }
+    }
+    return expr;
+  }
+
+  function parseUnary() {
+    if (isOp('!', '-', '+')) {
+      const op = next().value;
+      return { type: 'Unary', op, argument: parseUnary() };
+    }
+    return parsePostfix();
+  }
+
+  const parseMultiplicative = binary(parseUnary, ['*', '/', '%']);
+  const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+  const parseComparison = binary(parseAdditive, ['<', '<=', '>', '>=']);
+  const parseEquality = binary(parseComparison, ['==', '!=', '===', '!==']);
+  const parseAnd = binary(parseEquality, ['&&'], 'Logical');
+  const parseOr = binary(parseAnd, ['||'], 'Logical');
+
+  function parseTernary() {
+    const test = parseOr();
+    if (!isOp('?')) return test;
+    next();
+    const consequent = parseTernary();
+    expect(':');
+    return { type: 'Conditional', test, consequent, alternate: parseTernary() };
+  }
+
+  if (peek().type === 'eof') throw syntaxError('Empty expression', 0);
+  const ast = parseTernary();
+  if (peek().type !== 'eof') throw syntaxError(`Unexpected ${describe(peek())}`, peek().pos);
+  return ast;
+}
+
+const astCache = new Map();
+const AST_CACHE_LIMIT = 500;
+
+export function parseExpression(source) {
+  if (typeof source !== 'string') throw new Error('Expression must be a string');
+  if (astCache.has(source)) return astCache.get(source);
+  const ast = parse(source);
+  if (astCache.size >= AST_CACHE_LIMIT) astCache.clear();
+  astCache.set(source, ast);
+  return ast;
+}
+
+function getProperty(obj, key) {
+  if (obj === undefined || obj === null) return undefined;
+  key = String(key);
+  if (FORBIDDEN_KEYS.has(key)) return undefined;
+  if ((typeof obj === 'string' || Array.isArray(obj)) && key === 'length') return obj.length;
+  if (typeof obj === 'object' && hasOwn(obj, key)) return obj[key];
+  return undefined;
+}
+
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+
+    case 'Identifier':
+      return getProperty(scope, node.name);
+
+    case 'Member':
+      return getProperty(evaluate(node.object, scope), evaluate(node.property, scope));
+
+    case 'Call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluate(arg, scope)));
+
+    case 'Unary': {
+      const value = evaluate(node.argument, scope);
+      if (node.op === '!') return !value;
+      if (node.op === '-') return -toNumber(value, '-');
+      return toNumber(value, '+');
+    }
+
+    case 'Logical': {
+      const left = evaluate(node.left, scope);
+      if (node.op === '&&') return left ? evaluate(node.right, scope) : left;
+      return left ? left : evaluate(node.right, scope);
+    }
+
+    case 'Conditional':
+      return evaluate(node.test, scope)
+        ? evaluate(node.consequent, scope)
+        : evaluate(node.alternate, scope);
+
+    case 'Binary': {
+      const left = evaluate(node.left, scope);
+      const right = evaluate(node.right, scope);
+      switch (node.op) {
+        case '==': return looseEquals(left, right);
+        case '!=': return !looseEquals(left, right);
+        case '===': return left === right;
+        case '!==': return left !== right;
+        case '<':
+        case '<=':
+        case '>':
+        case '>=': {
+          const bothStrings = typeof left === 'string' && typeof right === 'string' && !(isNumeric(left) && isNumeric(right));
+          const a = bothStrings ? left : toNumber(left, node.op);
+          const b = bothStrings ? right : toNumber(right, node.op);
+          if (node.op === '<') return a < b;
+          if (node.op === '<=') return a <= b;
+          if (node.op === '>') return a > b;
+          return a >= b;
+        }
+        case '+':
+          if (typeof left === 'string' || typeof right === 'string') {
+            return FUNCTIONS.concat(left, right);
+          }
+          return toNumber(left, '+') + toNumber(right, '+');
+        case '-': return toNumber(left, '-') - toNumber(right, '-');
+        case '*': return toNumber(left, '*') * toNumber(right, '*');
+        case '/': {
+          const divisor = toNumber(right, '/');
+          if (divisor === 0) throw new Error('Division by zero');
+          return toNumber(left, '/') / divisor;
+        }
+        case '%': return toNumber(left, '%') % toNumber(right, '%');
+        default:
+          throw new Error(`Unsupported operator '${node.op}'`);
+      }
+    }
+
+    default:
+      throw new Error(`Unsupported expression node '${node.type}'`);
+  }
+}
+
+/**
+ * Evaluate an expression string against a scope object (trigger data,
+ * node outputs, ...). Throws on syntax or runtime errors.
+ */
+export function evaluateExpression(source, scope = {}) {
+  return evaluate(parseExpression(source), scope);
+}
+
+/**
+ * Returns the parse error message for an expression, or null when it is valid.
+ */
+export function validateExpression(source) {
+  try {
+    parseExpression(source);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Collect parse errors for every expression in a flow graph so they can be
+ * reported when a version is saved rather than when it runs.
+ * Returns [{ nodeId, field, expression, error }].
+ */
+export function validateGraphExpressions(graph, prefix = '') {
+  const errors = [];
+  const nodes = Array.isArray(graph?.nodes) ? graph.nodes : [];
+
+  const check = (node, field, expression) => {
+    if (expression === undefined || expression === null || expression === '') return;
+    // As at runtime: a boolean is its own value, anything else is read as text
+    if (typeof expression === 'boolean') return;
+    const error = validateExpression(String(expression));
+    if (error) errors.push({ nodeId: prefix + node.id, field, expression, error });
+  };
+
+  for (const node of nodes) {
+    const config = node.config || {};
+
+    if (node.type === 'condition') {
+      check(node, 'condition', config.condition);
+      if (Array.isArray(config.cases)) {
+        config.cases.forEach((c, i) => check(node, `cases[${i}].condition`, c?.condition));
+      }
+    }
+
+    if (node.type === 'transform' && config.mappings && typeof config.mappings === 'object') {
+      for (const [key, expression] of Object.entries(config.mappings)) {
+        check(node, `mappings.${key}`, expression);
+      }
+    }
+
+    // Loop bodies are graphs of their own; report their nodes as "loop.child"
+    if (node.type === 'loop' && config.body) {
+      errors.push(...validateGraphExpressions(config.body, `${prefix}${node.id}.`));
+    }
+  }
+
+  return errors;
+}
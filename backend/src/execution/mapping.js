@@ -0,0 +1,235 @@
+// Declarative data mapping
+// A mapping spec builds an output object from paths into a source object, e.g.
+//   {
+//     "msisdn":        "nodes.checkStatus.raw.payer.partyId",
+//     "amount":        { "path": "nodes.checkStatus.amount", "type": "number", "default": 0 },
+//     "customer.name": { "concat": ["trigger.firstName", "trigger.lastName"], "separator": " " },
+//     "paidAt":        { "path": "trigger.timestamp", "type": "date" },
+//     "payees":        { "path": "trigger.payees", "each": { "phone": "msisdn", "amount": { "path": "amt", "type": "number" } } },
+//     "channel":       { "value": "momo" }
+//   }
+// Output keys may be dotted to build nested objects. A field is either a path
+// string or an object with one of `path`, `concat` or `value`, plus optional
+// `type` (string, number, boolean, date), `format` (for dates: iso, date,
+// epoch), `default`, `required` and, for arrays, `each` (a nested spec or a
+// path plucked from every item). Paths use dots and [n] indexes; "$" is the
+// source itself.
+
+const TYPES = new Set(['string', 'number', 'boolean', 'date']);
+const DATE_FORMATS = new Set(['iso', 'date', 'epoch']);
+const FORBIDDEN_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+
+function parsePath(path) {
+  if (typeof path !== 'string' || path.trim() === '') throw new Error('path must be a non-empty string');
+  if (path.trim() === '$') return [];
+
+  const segments = [];
+  for (const part of path.trim().replace(/^\$\.?/, '').split('.')) {
+    const match = /^([^[\]]*)((?:\[\d+\])*)$/.exec(part);
+    if (!match || (match[1] === '' && match[2] === '')) throw new Error(`invalid path '${path}'`);
+    if (match[1] !== '') segments.push(match[1]);
+    for (const index of match[2].matchAll(/\[(\d+)\]/g)) segments.push(Number(index[1]));
+  }
+  for (const segment of segments) {
+    if (FORBIDDEN_KEYS.has(segment)) throw new Error(`invalid path '${path}': '${segment}' is not allowed`);
+  }
+  return segments;
+}
+
+/**
+ * Read a dotted path (see above) from `source`; undefined when it is missing.
+ * Throws on a malformed path.
+ */
+export function getPath(source, path) {
+  let value = source;
+  for (const segment of parsePath(path)) {
+    if (value === null || value === undefined) return undefined;
+    value = Object.prototype.hasOwnProperty.call(Object(value), segment) ? value[segment] : undefined;
+  }
+  return value;
+}
+
+// Output keys come from flow authors, so never walk into or assign through
+// inherited properties (e.g. "__proto__.x" would reach Object.prototype)
+function setPath(target, key, value) {
+  const parts = key.split('.');
+  if (parts.some(part => part === '' || FORBIDDEN_KEYS.has(part))) {
+    throw new Error(`Mapping field '${key}': invalid output key`);
+  }
+  let node = target;
+  parts.slice(0, -1).forEach(part => {
+    const own = Object.prototype.hasOwnProperty.call(node, part) ? node[part] : undefined;
+    if (!own || typeof own !== 'object') {
+      Object.defineProperty(node, part, { value: {}, enumerable: true, writable: true, configurable: true });
+    }
+    node = node[part];
+  });
+  Object.defineProperty(node, parts[parts.length - 1], { value, enumerable: true, writable: true, configurable: true });
+}
+
+function coerce(value, type, format) {
+  if (value === null || value === undefined || !type) return value;
+
+  switch (type) {
+    case 'string':
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    case 'number': {
+      const n = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+      if (!Number.isFinite(n)) throw new Error(`cannot convert ${JSON.stringify(value)} to number`);
+      return n;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 1 || value === '1') return true;
+      if (value === 'false' || value === 0 || value === '0') return false;
+      throw new Error(`cannot convert ${JSON.stringify(value)} to boolean`);
+    case 'date': {
+      const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+      if (Number.isNaN(date.getTime())) throw new Error(`cannot convert ${JSON.stringify(value)} to date`);
+      if (format === 'epoch') return date.getTime();
+      if (format === 'date') return date.toISOString().slice(0, 10);
+      return date.toISOString();
+    }
+    default:
+      throw new Error(`unknown type '${type}'`);
+  }
+}
+
+function normalizeField(field) {
+  return typeof field === 'string' ? { path: field } : field;
+}
+
+function resolveField(field, source) {
+  const spec = normalizeField(field);
+  let value;
+
+  if (spec.value !== undefined) {
+    value = spec.value;
+  } else if (spec.concat !== undefined) {
+    const parts = spec.concat.map(part => resolveField(part, source));
+    value = parts.some(p => p === undefined || p === null)
+      ? undefined
+      : parts.map(p => (typeof p === 'object' ? JSON.stringify(p) : String(p))).join(spec.separator ?? '');
+  } else {
+    value = getPath(source, spec.path);
+  }
+
+  if (spec.each !== undefined && value !== undefined && value !== null) {
+    if (!Array.isArray(value)) throw new Error(`expected an array at '${spec.path}'`);
+    value = value.map((item, i) => {
+      try {
+        return typeof spec.each === 'string' ? getPath(item, spec.each) : applyMapping(spec.each, item);
+      } catch (error) {
+        throw new Error(`item ${i}: ${error.message}`);
+      }
+    });
+  }
+
+  if (value === undefined || value === null) {
+    if (spec.default !== undefined) value = spec.default;
+    else if (spec.required) throw new Error('value is required but missing');
+    else return null;
+  }
+
+  return spec.type === undefined ? value : coerce(value, spec.type, spec.format);
+}
+
+/**
+ * Build an output object from `source` according to `spec`.
+ * Throws "Mapping field '<key>': <reason>" on the first field that fails.
+ */
+export function applyMapping(spec, source) {
+  const output = {};
+  for (const [key, field] of Object.entries(spec || {})) {
+    let value;
+    try {
+      value = resolveField(field, source);
+    } catch (error) {
+      throw new Error(`Mapping field '${key}': ${error.message}`);
+    }
+    setPath(output, key, value);
+  }
+  return output;
+}
+
+function validateField(field, errors, key) {
+  const spec = normalizeField(field);
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    errors.push({ field: key, error: 'must be a path string or a field object' });
+    return;
+  }
+
+  const sources = ['path', 'concat', 'value'].filter(k => spec[k] !== undefined);
+  if (sources.length !== 1) {
+    errors.push({ field: key, error: 'needs exactly one of path, concat or value' });
+  }
+  if (spec.path !== undefined) {
+    try {
+      parsePath(spec.path);
+    } catch (error) {
+      errors.push({ field: key, error: error.message });
+    }
+  }
+  if (spec.concat !== undefined) {
+    if (!Array.isArray(spec.concat) || spec.concat.length === 0) {
+      errors.push({ field: key, error: 'concat must be a non-empty array' });
+    } else {
+      spec.concat.forEach((part, i) => validateField(part, errors, `${key}.concat[${i}]`));
+    }
+  }
+  if (spec.type !== undefined && !TYPES.has(spec.type)) {
+    errors.push({ field: key, error: `unknown type '${spec.type}'` });
+  }
+  if (spec.format !== undefined && !DATE_FORMATS.has(spec.format)) {
+    errors.push({ field: key, error: `unknown date format '${spec.format}'` });
+  }
+  if (spec.each !== undefined) {
+    if (typeof spec.each === 'string') {
+      validateField(spec.each, errors, `${key}.each`);
+    } else {
+      errors.push(...validateMappingSpec(spec.each).map(e => ({ ...e, field: `${key}.each.${e.field}` })));
+    }
+  }
+}
+
+/**
+ * Check a spec without running it. Returns [{ field, error }].
+ */
+export function validateMappingSpec(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return [{ field: '', error: 'spec must be an object' }];
+  }
+  const errors = [];
+  for (const [key, field] of Object.entries(spec)) {
+    if (key.split('.').some(part => part === '' || FORBIDDEN_KEYS.has(part))) {
+      errors.push({ field: key, error: 'invalid output key' });
+      continue;
+    }
+    validateField(field, errors, key);
+  }
+  return errors;
+}
+
+/**
+ * Validate the spec of every mapping transform in a graph (and in loop bodies
+ * and compensation steps, which run as transforms too).
+ * Returns [{ nodeId, field, error }].
+ */
+export function validateGraphMappings(graph, prefix = '') {
+  const errors = [];
+  for (const node of Array.isArray(graph?.nodes) ? graph.nodes : []) {
+    const config = node.config || {};
+    if (node.type === 'transform' && config.transformation === 'mapping') {
+      errors.push(...validateMappingSpec(config.spec).map(e => ({ nodeId: prefix + node.id, ...e })));
+    }
+    const compensation = config.compensation;
+    if (compensation?.type === 'transform' && compensation.config?.transformation === 'mapping') {
+      errors.push(...validateMappingSpec(compensation.config.spec)
+        .map(e => ({ nodeId: `${prefix}${node.id}:compensate`, ...e })));
+    }
+    if (node.type === 'loop' && config.body) {
+      errors.push(...validateGraphMappings(config.body, `${prefix}${node.id}.`));
+    }
+  }
+  return errors;
+}
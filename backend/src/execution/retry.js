@@ -0,0 +1,90 @@
+// Node retry policies
+// A node opts into retries with `config.retry`, e.g.
+//   { maxAttempts: 4, initialDelayMs: 500, multiplier: 2, maxDelayMs: 10000,
+//     jitter: 0.2, retryOn: { statusCodes: [429, 503], networkErrors: true } }
+// Without it a node runs exactly once.
+
+const DEFAULT_POLICY = {
+  maxAttempts: 1,
+  initialDelayMs: 1000,
+  multiplier: 2,
+  maxDelayMs: 30000,
+  jitter: 0.2,
+  retryOn: {
+    statusCodes: [408, 429, 500, 502, 503, 504],
+    networkErrors: true
+  }
+};
+
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'EPIPE',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ERR_NETWORK'
+]);
+
+function toNumberOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export function normalizeRetryPolicy(retry) {
+  if (!retry || typeof retry !== 'object') return { ...DEFAULT_POLICY };
+
+  const retryOn = retry.retryOn || {};
+  return {
+    maxAttempts: Math.max(1, Math.floor(toNumberOr(retry.maxAttempts, DEFAULT_POLICY.maxAttempts))),
+    initialDelayMs: Math.max(0, toNumberOr(retry.initialDelayMs, DEFAULT_POLICY.initialDelayMs)),
+    multiplier: Math.max(1, toNumberOr(retry.multiplier, DEFAULT_POLICY.multiplier)),
+    maxDelayMs: Math.max(0, toNumberOr(retry.maxDelayMs, DEFAULT_POLICY.maxDelayMs)),
+    jitter: retry.jitter === false ? 0 : Math.min(1, Math.max(0, toNumberOr(retry.jitter, DEFAULT_POLICY.jitter))),
+    retryOn: {
+      statusCodes: Array.isArray(retryOn.statusCodes)
+        ? retryOn.statusCodes.map(Number)
+        : DEFAULT_POLICY.retryOn.statusCodes,
+      networkErrors: retryOn.networkErrors !== undefined
+        ? Boolean(retryOn.networkErrors)
+        : DEFAULT_POLICY.retryOn.networkErrors
+    }
+  };
+}
+
+// HTTP status carried by a thrown error (axios, provider wrappers) or a node output
+export function getStatusCode(errorOrOutput) {
+  const status = errorOrOutput?.response?.status ?? errorOrOutput?.status;
+  return Number.isInteger(status) ? status : null;
+}
+
+export function isNetworkError(error) {
+  if (!error) return false;
+  if (error.code && NETWORK_ERROR_CODES.has(error.code)) return true;
+  // axios: request went out but no response came back
+  return Boolean(error.isAxiosError && error.request && !error.response);
+}
+
+export function isRetryableError(error, policy) {
+  const status = getStatusCode(error);
+  if (status !== null) return policy.retryOn.statusCodes.includes(status);
+  return policy.retryOn.networkErrors && isNetworkError(error);
+}
+
+export function isRetryableStatus(status, policy) {
+  return Number.isInteger(status) && policy.retryOn.statusCodes.includes(status);
+}
+
+// Delay before the next attempt; `attempt` is the 1-based attempt that just failed
+export function computeBackoff(policy, attempt) {
+  const base = Math.min(policy.maxDelayMs, policy.initialDelayMs * policy.multiplier ** (attempt - 1));
+  return Math.round(base - base * policy.jitter * Math.random());
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
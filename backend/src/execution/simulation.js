@@ -0,0 +1,115 @@
+// Dry-run simulation
+// Simulated executions run the whole graph (conditions, transforms, mappings,
+// code, branches) but answer provider, HTTP, database and email nodes, and
+// payment callbacks, without any outside call. A node's response comes from,
+// in order:
+//   config.mockError   fail with this message (to exercise error branches)
+//   config.mock        a canned output, returned as is
+//   config.mockSchema  a JSON Schema subset the output is generated from
+//   a built-in sample for the node type (sampleResponse below)
+
+const MAX_SCHEMA_DEPTH = 10;
+
+function sampleString(schema, key) {
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+  switch (schema.format) {
+    case 'date-time': return new Date().toISOString();
+    case 'date': return new Date().toISOString().slice(0, 10);
+    case 'email': return 'customer@example.com';
+    case 'uuid': return '00000000-0000-4000-8000-000000000000';
+    case 'uri': return 'https://example.com/';
+    default: return key ? `sample-${key}` : 'sample';
+  }
+}
+
+/**
+ * Build a sample value from a JSON Schema subset: type (object, array,
+ * string, number, integer, boolean, null), properties, items, enum, format,
+ * minimum, minItems, and example / default / const, which win when present.
+ */
+export function generateFromSchema(schema, key = '', depth = 0) {
+  if (!schema || typeof schema !== 'object' || depth > MAX_SCHEMA_DEPTH) return null;
+  if (schema.const !== undefined) return schema.const;
+  if (schema.example !== undefined) return schema.example;
+  if (schema.default !== undefined) return schema.default;
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type || (schema.properties ? 'object' : undefined);
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {})
+        .map(([name, child]) => [name, generateFromSchema(child, name, depth + 1)]));
+    case 'array':
+      return Array.from({ length: Math.max(1, Number(schema.minItems) || 1) },
+        () => generateFromSchema(schema.items, key, depth + 1));
+    case 'string':
+      return sampleString(schema, key);
+    case 'number':
+    case 'integer':
+      if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+      return Number.isFinite(Number(schema.minimum)) ? Number(schema.minimum) : 1;
+    case 'boolean':
+      return true;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Built-in response for a node type when it has no mock. `get(key)` reads a
+ * node input the way the real handler would; referenceId and txRef are the
+ * node's deterministic payment references.
+ */
+export function sampleResponse(node, { get, referenceId, txRef }) {
+  const config = node.config || {};
+  const type = String(node.type || '');
+
+  // Same shape as the status check a real callback wait completes with
+  if (type === 'waitForCallback') {
+    return String(config.provider).toLowerCase() === 'flutterwave'
+      ? { tx_ref: get('tx_ref'), status: 'successful', transactionId: 0, amount: get('amount'), currency: get('currency'), simulated: true }
+      : { referenceId: get('referenceId'), status: 'SUCCESSFUL', financialTransactionId: 'SIMULATED', reason: null, simulated: true };
+  }
+
+  if (type.startsWith('mtn.')) {
+    switch (type.slice('mtn.'.length)) {
+      case 'requestToPay':
+        return {
+          referenceId,
+          status: 'PENDING',
+          amount: String(get('amount') ?? ''),
+          currency: get('currency') || 'EUR',
+          msisdn: String(get('msisdn') ?? ''),
+          externalId: String(get('externalId') ?? ''),
+          simulated: true
+        };
+      case 'checkStatus':
+        return { referenceId: get('referenceId'), status: 'SUCCESSFUL', financialTransactionId: 'SIMULATED', reason: null, simulated: true };
+      case 'getBalance':
+        return { availableBalance: '0', currency: get('currency') || 'EUR', simulated: true };
+      case 'getAccountHolder':
+        return { msisdn: String(get('msisdn') ?? ''), active: true, simulated: true };
+    }
+  }
+
+  if (type.startsWith('fW.')) {
+    switch (type.slice('fW.'.length)) {
+      case 'fWPayment':
+        return { tx_ref: txRef, status: 'success', link: 'https://checkout.example.com/simulated', simulated: true };
+      case 'fWVerifyPayment':
+        return { tx_ref: get('tx_ref'), status: 'successful', transactionId: 0, amount: get('amount'), currency: get('currency'), simulated: true };
+      case 'fWPing':
+        return { ok: true, simulated: true };
+    }
+  }
+
+  switch (node.kind) {
+    case 'http':
+      return { status: 200, headers: {}, data: {}, simulated: true };
+    case 'database':
+      return { success: true, operation: String(config.operation || 'select').toLowerCase(), rowCount: 0, rows: [], fields: [], truncated: false, simulated: true };
+    case 'email':
+      return { success: true, messageId: `simulated-${referenceId}`, accepted: [].concat(get('to') || []), rejected: [], simulated: true };
+    default:
+      return { success: true, simulated: true };
+  }
+}
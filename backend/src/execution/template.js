@@ -0,0 +1,69 @@
+// Node config templating
+// Resolves {{ }} placeholders in node configs at runtime, e.g.
+//   "https://api.example.com/users/{{ trigger.msisdn }}"
+//   { "amount": "{{ nodes.reqToPay.amount }}", "currency": "{{ vars.currency }}" }
+// Placeholder bodies use the flow expression language, so paths, functions
+// and operators are all available.
+
+import { evaluateExpression } from './expression.js';
+
+const PLACEHOLDER_RE = /\{\{\s*([\s\S]+?)\s*\}\}/g;
+const WHOLE_PLACEHOLDER_RE = /^\{\{\s*([\s\S]+?)\s*\}\}$/;
+
+function resolvePlaceholder(expression, scope, path) {
+  let value;
+  try {
+    value = evaluateExpression(expression, scope);
+  } catch (error) {
+    throw new Error(`Cannot resolve '{{ ${expression} }}' in ${path}: ${error.message}`);
+  }
+  if (value === undefined) {
+    throw new Error(`Cannot resolve '{{ ${expression} }}' in ${path}: reference not found`);
+  }
+  return value;
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function interpolateString(str, scope, path, escape) {
+  // A value that is exactly one placeholder keeps the referenced type (number, object, ...)
+  const whole = str.match(WHOLE_PLACEHOLDER_RE);
+  if (whole && !escape) return resolvePlaceholder(whole[1], scope, path);
+
+  return str.replace(PLACEHOLDER_RE, (_match, expression) => {
+    const value = resolvePlaceholder(expression, scope, path);
+    if (value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return escape ? escape(text) : text;
+  });
+}
+
+export function hasPlaceholders(value) {
+  if (typeof value === 'string') return value.includes('{{');
+  if (Array.isArray(value)) return value.some(hasPlaceholders);
+  if (value && typeof value === 'object') return Object.values(value).some(hasPlaceholders);
+  return false;
+}
+
+/**
+ * Recursively resolve placeholders in strings, arrays and plain objects.
+ * `path` names the location in error messages (e.g. "config.headers.Authorization").
+ * options.escape (e.g. escapeHtml) is applied to every substituted value,
+ * which then always comes out as a string.
+ */
+export function interpolate(value, scope, path = 'config', { escape = null } = {}) {
+  if (typeof value === 'string') return interpolateString(value, scope, path, escape);
+  if (Array.isArray(value)) return value.map((item, i) => interpolate(item, scope, `${path}[${i}]`, { escape }));
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = interpolate(item, scope, `${path}.${key}`, { escape });
+    }
+    return result;
+  }
+  return value;
+}
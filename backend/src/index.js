@@ -17,11 +17,12 @@ import { requireAuth } from "./middleware/authMiddleware.js";
 import { rateLimitMiddleware, cleanupOldTracking } from "./middleware/rateLimitMiddleware.js";
 import { ipWhitelistMiddleware } from "./middleware/ipWhitelistMiddleware.js";
 import connectionsRouter from "./routes/connections.js";
-import mtnRouter from "./routes/mtn.js";
+import mtnRouter, { webhookRouter as mtnWebhookRouter } from "./routes/mtn.js";
 import flutterwaveRoutes from './routes/flutterwave.js';
 import executionsRouter from './routes/executions.js';
 import templatesRouter from './routes/templates.js';
 import ipWhitelistRouter from './routes/ipWhitelist.js';
+import ExecutionWorker from './execution/ExecutionWorker.js';
 
 
 // logging
@@ -118,6 +119,7 @@ app.use("/api/auth", authRouter);
 // Flutterwave routes (includes both protected API routes and public webhooks)
 app.use('/api', requireAuth, flutterwaveRoutes);  // /api/connectors, /api/flutterwave/* (protected)
 app.use('/', flutterwaveRoutes);     // /webhooks/flutterwave (webhooks don't need auth)
+app.use('/', mtnWebhookRouter);      // /webhooks/mtn (MoMo X-Callback-Url)
 
 app.use("/api/ip-whitelist", requireAuth, ipWhitelistRouter);
 app.use("/api/flows", requireAuth, ipWhitelistMiddleware, rateLimitMiddleware, flowsRouter);
@@ -256,6 +258,23 @@ app.use(
 const PORT = process.env.PORT || 3001;
 await runMigrations();
 
+// Run queued flow executions in-process unless dedicated workers are deployed
+// (set EXECUTION_WORKER_INLINE=0 and start `npm run worker` instead)
+if (pool && process.env.EXECUTION_WORKER_INLINE !== '0') {
+  const executionWorker = new ExecutionWorker();
+  executionWorker.start().catch(err => console.error('Failed to start execution worker:', err));
+
+  // Let in-flight executions finish and release their jobs before exiting
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, draining execution worker...`);
+    await executionWorker.stop();
+    await pool.end();
+    process.exit(0);
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
+
 // Start rate limit cleanup job (runs every hour)
 setInterval(() => {
   cleanupOldTracking();
@@ -18,10 +18,10 @@ if (useSendGrid) {
     host: process.env.SMTP_HOST,
     port: port,
     secure: port === 465, // true for 465 (SSL), false for 587 (STARTTLS)
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
-    },
+    // Local capture servers (MailHog, smtp4dev, ...) take mail without AUTH
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
     connectionTimeout: 10000, // 10 second timeout
     greetingTimeout: 10000,
   });
@@ -43,7 +43,10 @@ if (useSendGrid) {
     });
 }
 
-export async function sendMail({ to, subject, text, html, attachments } = {}) {
+// `to` and `cc` take one address or an array of addresses
+export async function sendMail({ to, cc, subject, text, html, attachments } = {}) {
+  const toList = [].concat(to || []);
+  const ccList = [].concat(cc || []);
   const from = process.env.MAIL_FROM || process.env.SMTP_USER || "noreply@asei.app";
   
   console.log(`📧 Attempting to send email to ${to} with subject: ${subject}`);
@@ -61,12 +64,14 @@ export async function sendMail({ to, subject, text, html, attachments } = {}) {
         },
         body: JSON.stringify({
           personalizations: [{
-            to: [{ email: to }],
+            to: toList.map(email => ({ email })),
+            ...(ccList.length > 0 && { cc: ccList.map(email => ({ email })) }),
             subject: subject,
           }],
           from: { email: from },
+          // SendGrid rejects empty content parts, so html-only mail has no text/plain
           content: [
-            { type: 'text/plain', value: text || '' },
+            ...(text ? [{ type: 'text/plain', value: text }] : []),
             { type: 'text/html', value: html || text || '' },
           ],
         }),
@@ -78,16 +83,22 @@ export async function sendMail({ to, subject, text, html, attachments } = {}) {
       }
 
       console.log(`✅ Email sent successfully to ${to} via SendGrid HTTP API`);
-      return { messageId: response.headers.get('x-message-id') };
+      return {
+        messageId: response.headers.get('x-message-id'),
+        accepted: [...toList, ...ccList],
+        rejected: [],
+        response: `${response.status} ${response.statusText}`,
+      };
     } else {
       // Use SMTP
       const mailOptions = {
         from,
-        to,
+        to: toList,
         subject,
         text,
         html,
       };
+      if (ccList.length > 0) mailOptions.cc = ccList;
       if (attachments) mailOptions.attachments = attachments;
       
       const result = await transporter.sendMail(mailOptions);
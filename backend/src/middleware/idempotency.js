@@ -0,0 +1,113 @@
+// src/middleware/idempotency.js
+import crypto from "crypto";
+import { query } from "../db/postgres.js";
+
+// How long a key and its stored response are honoured
+const KEY_TTL_SECONDS = Number(process.env.IDEMPOTENCY_KEY_TTL_SECONDS) || 24 * 60 * 60;
+// A request holding a key for longer than this is assumed to have died
+const LOCK_TIMEOUT_SECONDS = Number(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS) || 5 * 60;
+
+function fingerprint(req) {
+  return crypto.createHash("sha256").update(JSON.stringify(req.body ?? null)).digest("hex");
+}
+
+/**
+ * Idempotency-Key support for endpoints with side effects (execution starts,
+ * payments). The first request with a key runs normally and its response is
+ * stored; repeats of it within the TTL get the stored response back (with
+ * Idempotent-Replayed: true) instead of running again. Keys are scoped per
+ * endpoint and per user. Reusing a key with a different body is rejected
+ * with 422, and a repeat that arrives while the first is still running gets
+ * 409. 5xx responses, and requests whose client went away before the
+ * response was sent, release the key so the client may retry (payment calls
+ * stay deduplicated by provider references derived from the key).
+ * Requests without the header are not affected; requests with it must be
+ * authenticated, since unauthenticated callers would share one key space.
+ */
+export function idempotency(scope) {
+  return async function idempotencyMiddleware(req, res, next) {
+    const key = req.get("Idempotency-Key");
+    if (!key) return next();
+    if (key.length > 255) {
+      return res.status(400).json({ error: "Idempotency-Key must be at most 255 characters" });
+    }
+
+    const owner = req.user?.id || req.user?.org;
+    if (!owner) {
+      return res.status(401).json({ error: "Idempotency-Key requires an authenticated request" });
+    }
+    const requestHash = fingerprint(req);
+
+    try {
+      // Claim the key unless a live claim or a stored response holds it
+      const claimed = await query(
+        `INSERT INTO idempotency_keys (scope, owner, idempotency_key, request_hash)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (scope, owner, idempotency_key) DO UPDATE
+           SET request_hash = EXCLUDED.request_hash, status = 'in_progress',
+               response_status = NULL, response_body = NULL, created_at = now(), locked_at = now()
+           WHERE idempotency_keys.created_at < now() - make_interval(secs => $5)
+              OR (idempotency_keys.status = 'in_progress' AND idempotency_keys.locked_at < now() - make_interval(secs => $6))
+         RETURNING id`,
+        [scope, owner, key, requestHash, KEY_TTL_SECONDS, LOCK_TIMEOUT_SECONDS]
+      );
+
+      if (claimed.rowCount === 0) {
+        const { rows } = await query(
+          `SELECT request_hash, status, response_status, response_body
+           FROM idempotency_keys WHERE scope = $1 AND owner = $2 AND idempotency_key = $3`,
+          [scope, owner, key]
+        );
+        const stored = rows[0];
+        if (!stored) return next();
+        if (stored.request_hash !== requestHash) {
+          return res.status(422).json({ error: "Idempotency-Key was already used with a different request body" });
+        }
+        if (stored.status !== "completed") {
+          return res.status(409).json({ error: "A request with this Idempotency-Key is still in progress" });
+        }
+        res.setHeader("Idempotent-Replayed", "true");
+        return stored.response_body === null
+          ? res.sendStatus(stored.response_status)
+          : res.status(stored.response_status).json(stored.response_body);
+      }
+
+      const recordId = claimed.rows[0]?.id;
+      req.idempotencyKey = { scope, owner, key };
+
+      // Capture what the handler sends, then store it once the response is out
+      let body = null;
+      const json = res.json.bind(res);
+      res.json = (payload) => {
+        body = payload;
+        return json(payload);
+      };
+      const releaseKey = () => query("DELETE FROM idempotency_keys WHERE id = $1", [recordId]);
+      res.on("finish", () => {
+        const release = res.statusCode >= 500
+          ? releaseKey()
+          : query(
+            `UPDATE idempotency_keys SET status = 'completed', response_status = $1, response_body = $2 WHERE id = $3`,
+            [res.statusCode, body === null ? null : JSON.stringify(body), recordId]
+          );
+        release.catch((err) => console.error("Failed to store idempotent response:", err));
+      });
+      // Connection closed before the response went out: nothing to replay
+      res.on("close", () => {
+        if (res.writableFinished) return;
+        releaseKey().catch((err) => console.error("Failed to release Idempotency-Key:", err));
+      });
+
+      next();
+    } catch (error) {
+      console.error("Idempotency check error:", error);
+      res.status(500).json({ error: "Could not verify Idempotency-Key" });
+    }
+  };
+}
+
+// Stable identifier for provider-side deduplication (e.g. an MTN X-Reference-Id)
+// derived from a request's idempotency key
+export function idempotencyDigest({ scope, owner, key }) {
+  return crypto.createHash("sha256").update(`${scope}\n${owner}\n${key}`).digest("hex");
+}
@@ -1,6 +1,12 @@
 import fetch from 'node-fetch';
 
-export default function flutterwaveClient({ secretKey, baseUrl = 'https://api.flutterwave.com/v3' }) {
+function apiError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export default function flutterwaveClient({ secretKey, baseUrl = 'https://api.flutterwave.com/v3', signal }) {
   const headers = {
     'Content-Type': 'application/json',
     Authorization: `Bearer ${secretKey}`,
@@ -8,25 +14,25 @@ export default function flutterwaveClient({ secretKey, baseUrl = 'https://api.fl
 
   return {
     async ping() {
-      const r = await fetch(`${baseUrl}/banks/NG`, { headers });
-      if (!r.ok) throw new Error(`Verify failed: ${r.status} ${await r.text()}`);
+      const r = await fetch(`${baseUrl}/banks/NG`, { headers, signal });
+      if (!r.ok) throw apiError(`Verify failed: ${r.status} ${await r.text()}`, r.status);
       return true;
     },
 
     async createPayment({ amount, currency, tx_ref, customer, meta, redirect_url }) {
       const body = { tx_ref, amount, currency, customer, meta, redirect_url };
       const r = await fetch(`${baseUrl}/payments`, {
-        method: 'POST', headers, body: JSON.stringify(body),
+        method: 'POST', headers, body: JSON.stringify(body), signal,
       });
       const json = await r.json();
-      if (!r.ok) throw new Error(json?.message || 'Payment create failed');
+      if (!r.ok) throw apiError(json?.message || 'Payment create failed', r.status);
       return json; // hosted checkout link in json.data.link
     },
 
     async verifyByReference(tx_ref) {
-      const r = await fetch(`${baseUrl}/transactions/verify_by_reference?tx_ref=${encodeURIComponent(tx_ref)}`, { headers });
+      const r = await fetch(`${baseUrl}/transactions/verify_by_reference?tx_ref=${encodeURIComponent(tx_ref)}`, { headers, signal });
       const json = await r.json();
-      if (!r.ok) throw new Error(json?.message || 'Verify failed');
+      if (!r.ok) throw apiError(json?.message || 'Verify failed', r.status);
       return json;
     },
   };
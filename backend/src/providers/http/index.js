@@ -0,0 +1,80 @@
+// src/providers/http/index.js
+// Generic HTTP connections (provider "http"): a base URL and an auth scheme
+// kept encrypted in `connections` instead of in the flow graph.
+//   { baseUrl, headers, auth: { type: "apiKey", name, value, in: "header" | "query" } }
+//   { auth: { type: "basic", username, password } }
+//   { auth: { type: "bearer", token } }
+//   { auth: { type: "oauth2", tokenUrl, clientId, clientSecret, scope, audience } }
+// Requests through a connection only go to its baseUrl's origin.
+import axios from "axios";
+
+export const AUTH_TYPES = ["none", "apiKey", "basic", "bearer", "oauth2"];
+
+// OAuth2 client-credentials tokens, reused until shortly before they expire
+const tokenCache = new Map();
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+export async function getClientCredentialsToken(auth, { signal } = {}) {
+  const key = `${auth.tokenUrl}|${auth.clientId}|${auth.scope || ""}|${auth.audience || ""}`;
+  const cached = tokenCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.token;
+
+  const form = new URLSearchParams({ grant_type: "client_credentials" });
+  if (auth.scope) form.set("scope", auth.scope);
+  if (auth.audience) form.set("audience", auth.audience);
+
+  const { data } = await axios.post(auth.tokenUrl, form.toString(), {
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    auth: { username: auth.clientId, password: auth.clientSecret },
+    timeout: 15000,
+    signal,
+  });
+  if (!data?.access_token) throw new Error("OAuth2 token response has no access_token");
+
+  const ttlMs = (Number(data.expires_in) || 3600) * 1000;
+  tokenCache.set(key, { token: data.access_token, expiresAt: Date.now() + Math.max(0, ttlMs - TOKEN_EXPIRY_MARGIN_MS) });
+  return data.access_token;
+}
+
+/**
+ * Add a connection's auth to an outgoing request. Returns the extra headers
+ * and query params; the caller merges them over the node's own.
+ */
+export async function buildAuth(cfg, { signal } = {}) {
+  const auth = cfg?.auth || { type: "none" };
+  switch (auth.type) {
+    case undefined:
+    case "none":
+      return { headers: {}, params: {} };
+    case "apiKey":
+      return auth.in === "query"
+        ? { headers: {}, params: { [auth.name]: auth.value } }
+        : { headers: { [auth.name || "X-API-Key"]: auth.value }, params: {} };
+    case "basic":
+      return {
+        headers: { Authorization: `Basic ${Buffer.from(`${auth.username}:${auth.password ?? ""}`).toString("base64")}` },
+        params: {},
+      };
+    case "bearer":
+      return { headers: { Authorization: `Bearer ${auth.token}` }, params: {} };
+    case "oauth2":
+      return { headers: { Authorization: `Bearer ${await getClientCredentialsToken(auth, { signal })}` }, params: {} };
+    default:
+      throw new Error(`Unsupported auth type '${auth.type}'`);
+  }
+}
+
+// Relative node URLs are resolved against the connection's base URL. The
+// connection's headers and auth belong to that origin, so an absolute URL
+// (typed in or produced by a {{ }} template) must stay on it.
+export function resolveUrl(baseUrl, url) {
+  if (!baseUrl) throw new Error("HTTP connection has no base URL, so its credentials cannot be scoped to a host");
+  const resolved = /^https?:\/\//i.test(url || "")
+    ? url
+    : `${baseUrl.replace(/\/+$/, "")}/${String(url || "").replace(/^\/+/, "")}`;
+  const { origin } = new URL(baseUrl);
+  if (new URL(resolved).origin !== origin) {
+    throw new Error(`URL ${resolved} is not on the connection's base URL (${origin})`);
+  }
+  return resolved;
+}
@@ -1,6 +1,6 @@
 import axios from "axios";
 
-export async function getAccessToken({ subscriptionKey, apiUserId, apiKey, baseUrl }) {
+export async function getAccessToken({ subscriptionKey, apiUserId, apiKey, baseUrl, signal }) {
   const basic = Buffer.from(`${apiUserId}:${apiKey}`).toString("base64");
   const { data } = await axios.post(
     `${baseUrl}/collection/token/`,
@@ -12,6 +12,7 @@ export async function getAccessToken({ subscriptionKey, apiUserId, apiKey, baseU
         "Content-Type": "application/x-www-form-urlencoded",
       },
       timeout: 15000,
+      signal,
     }
   );
   return data; // { access_token, expires_in, token_type }
@@ -1,7 +1,16 @@
 // src/providers/mtn/index.js
 import axios from "axios";
+import { v5 as uuidv5 } from "uuid";
 import { getAccessToken } from "./auth.js";
 
+// Namespace for name-based X-Reference-Ids, so a repeated request maps to the
+// same MoMo transaction instead of a new one
+const REFERENCE_NAMESPACE = "0f2d6c1e-8a4b-5c3d-9e7f-1a2b3c4d5e6f";
+
+export function referenceIdFor(name) {
+  return uuidv5(String(name), REFERENCE_NAMESPACE);
+}
+
 export class MTNConnector {
   constructor(cfg) {
     this.cfg = cfg;
@@ -14,6 +23,7 @@ export class MTNConnector {
       apiUserId: this.cfg.apiUserId,
       apiKey: this.cfg.apiKey,
       baseUrl: this.baseUrl,
+      signal: this.cfg.signal,
     });
     return {
       Authorization: `Bearer ${token.access_token}`,
@@ -35,14 +45,21 @@ async requestToPay({ amount, currency, msisdn, externalId, referenceId, message,
     payeeNote: "Connectify API"
     // ❌ do not include callbackUrl in the body
   };
-  await axios.post(url, body, {
-  headers: {
-    ...headers,
-    "X-Reference-Id": referenceId,
-    "X-Callback-Url": callbackUrl,   // ✅ header (not in body)
-  },
-  timeout: 15000,
-});
+  try {
+    await axios.post(url, body, {
+      headers: {
+        ...headers,
+        "X-Reference-Id": referenceId,
+        "X-Callback-Url": callbackUrl,   // ✅ header (not in body)
+      },
+      timeout: 15000,
+      signal: this.cfg.signal, // optional AbortSignal (flow cancellation)
+    });
+  } catch (err) {
+    // 409: this X-Reference-Id was already submitted, so the payment exists
+    if (err.response?.status === 409) return { referenceId, status: "PENDING", duplicate: true };
+    throw err;
+  }
   // MTN usually returns 202 Accepted with no body
   return { referenceId, status: "PENDING" };
 }
@@ -51,21 +68,21 @@ async requestToPay({ amount, currency, msisdn, externalId, referenceId, message,
   async getStatus(referenceId) {
     const url = `${this.baseUrl}/collection/v1_0/requesttopay/${referenceId}`;
     const headers = await this._headers();
-    const { data } = await axios.get(url, { headers });
+    const { data } = await axios.get(url, { headers, signal: this.cfg.signal });
     return data;
   }
 
   async getBalance() {
     const url = `${this.baseUrl}/collection/v1_0/account/balance`;
     const headers = await this._headers();
-    const { data } = await axios.get(url, { headers });
+    const { data } = await axios.get(url, { headers, signal: this.cfg.signal });
     return data;
   }
 
   async getAccountHolder(msisdn) {
     const url = `${this.baseUrl}/collection/v1_0/accountholder/msisdn/${msisdn}/active`;
     const headers = await this._headers();
-    const { data } = await axios.get(url, { headers });
+    const { data } = await axios.get(url, { headers, signal: this.cfg.signal });
     return data;
   }
 }
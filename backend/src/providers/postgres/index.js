@@ -0,0 +1,128 @@
+// src/providers/postgres/index.js
+// External Postgres databases configured as connections (provider "postgres").
+// Statements always run with bind parameters inside a transaction that carries
+// its own statement timeout, so a runaway query cannot hold a pool client.
+import crypto from "crypto";
+import pg from "pg";
+
+const { Pool } = pg;
+
+// One small pool per connection, created on first use. Each entry remembers a
+// hash of the settings it was built from so an edited connection gets a new pool.
+const pools = new Map();
+
+function poolConfig(cfg) {
+  const ssl = cfg.ssl ? { rejectUnauthorized: cfg.ssl !== "no-verify" } : false;
+  const base = {
+    ssl,
+    max: Number(cfg.maxConnections) || 5,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 10000,
+  };
+  if (cfg.connectionString) return { ...base, connectionString: cfg.connectionString };
+  return {
+    ...base,
+    host: cfg.host,
+    port: Number(cfg.port) || 5432,
+    database: cfg.database,
+    user: cfg.user,
+    password: cfg.password,
+  };
+}
+
+export function getPool(connectionId, cfg) {
+  const config = poolConfig(cfg);
+  const fingerprint = crypto.createHash("sha256").update(JSON.stringify(config)).digest("hex");
+  const cached = pools.get(connectionId);
+  if (cached && cached.fingerprint === fingerprint) return cached.pool;
+
+  if (cached) {
+    // Settings changed: let queries already running on the old pool finish, then close it
+    cached.pool.end().catch((err) => console.error(`❌ PG pool close failed (connection ${connectionId}):`, err.message));
+  }
+  const pool = new Pool(config);
+  pool.on("error", (err) => console.error(`❌ PG idle client error (connection ${connectionId}):`, err.message));
+  pools.set(connectionId, { fingerprint, pool });
+  return pool;
+}
+
+// Check credentials without keeping a pool around (used when saving a connection)
+export async function testConnection(cfg) {
+  const client = new pg.Client(poolConfig(cfg));
+  await client.connect();
+  try {
+    const { rows } = await client.query("SELECT current_database() AS database, version() AS version");
+    return rows[0];
+  } finally {
+    await client.end();
+  }
+}
+
+const OPERATIONS = {
+  select: /^(select|with)\b/i,
+  insert: /^insert\b/i,
+  update: /^update\b/i,
+};
+
+/**
+ * Run one parameterised statement.
+ * operation is select, insert or update and must match the statement; a
+ * second statement after it is rejected by the server.
+ * Selects run read-only and return at most maxRows rows (truncated: true when
+ * there were more). Inserts and updates touching more than maxRows rows are
+ * rolled back.
+ */
+export async function runStatement(pool, { operation, sql, params = [], maxRows = 1000, statementTimeoutMs = 30000 }) {
+  const pattern = OPERATIONS[operation];
+  if (!pattern) throw new Error(`Unsupported database operation '${operation}' (use select, insert or update)`);
+
+  const text = String(sql || "").trim().replace(/;\s*$/, "");
+  if (!text) throw new Error("Database action requires config.sql");
+  if (!pattern.test(text)) throw new Error(`SQL does not match operation '${operation}'`);
+
+  const limit = Math.max(1, Math.floor(Number(maxRows)) || 1000);
+  const timeout = Math.max(1, Math.floor(Number(statementTimeoutMs)) || 30000);
+
+  const client = await pool.connect();
+  let failed = false;
+  try {
+    await client.query(operation === "select" ? "BEGIN READ ONLY" : "BEGIN");
+    // SET does not take bind parameters; timeout is an integer
+    await client.query(`SET LOCAL statement_timeout = ${timeout}`);
+
+    // Always the extended protocol: it takes exactly one statement, so
+    // "INSERT ...; DROP TABLE ..." fails instead of running past the checks
+    // above (pg uses the simple protocol, which runs every statement, when
+    // there are no params)
+    const run = (statement) => client.query({ text: statement, values: params, queryMode: "extended" });
+
+    let result;
+    let truncated = false;
+    if (operation === "select") {
+      result = await run(`SELECT * FROM (${text}) AS q LIMIT ${limit + 1}`);
+      truncated = result.rows.length > limit;
+      if (truncated) result.rows = result.rows.slice(0, limit);
+    } else {
+      result = await run(text);
+      if (result.rowCount > limit) {
+        throw new Error(`${operation} affected ${result.rowCount} rows, more than the limit of ${limit}; rolled back`);
+      }
+    }
+
+    await client.query("COMMIT");
+    return {
+      rowCount: operation === "select" ? result.rows.length : result.rowCount,
+      rows: result.rows,
+      fields: (result.fields || []).map((f) => f.name),
+      truncated,
+    };
+  } catch (err) {
+    failed = true;
+    await client.query("ROLLBACK").catch(() => {});
+    if (err.code === "57014") err.message = `Statement timed out after ${timeout}ms`;
+    throw err;
+  } finally {
+    // Drop clients that errored rather than returning them in an unknown state
+    client.release(failed);
+  }
+}
@@ -4,6 +4,8 @@ import { v4 as uuidv4 } from "uuid";
 import { query } from "../db/postgres.js";
 import { encryptJSON, decryptJSON } from "../utils/crypto.js";
 import { getAccessToken } from "../providers/mtn/auth.js";
+import { testConnection as testPostgres } from "../providers/postgres/index.js";
+import { AUTH_TYPES, getClientCredentialsToken } from "../providers/http/index.js";
 
 // Removed unused devUser constant (was for early testing) to satisfy lint
 
@@ -25,18 +27,102 @@ async function ensureTable() {
 }
 ensureTable().catch(console.error);
 
-// Test only (no save)
-router.post("/test",
-  body("provider").equals("mtn"),
+const providerIs = (provider) => body("provider").equals(provider);
+
+const connectionRules = [
+  body("provider").isIn(["mtn", "postgres", "http"]),
   body("env").isIn(["sandbox","production"]),
   body("label").isLength({min:1}),
-  body("config.subscriptionKey").isLength({min:10}),
-  body("config.apiUserId").isUUID(),
-  body("config.apiKey").isLength({min:8}),
+  body("config.subscriptionKey").if(providerIs("mtn")).isLength({min:10}),
+  body("config.apiUserId").if(providerIs("mtn")).isUUID(),
+  body("config.apiKey").if(providerIs("mtn")).isLength({min:8}),
+  body("config").if(providerIs("postgres"))
+    .custom((cfg) => Boolean(cfg?.connectionString || (cfg?.host && cfg?.database && cfg?.user)))
+    .withMessage("postgres connections need a connectionString or host, database and user"),
+  body("config.baseUrl").if(providerIs("http")).isURL({ protocols: ["http", "https"], require_protocol: true, require_tld: false })
+    .withMessage("http connections need a baseUrl; their credentials are only sent to it"),
+  body("config.auth.type").if(providerIs("http")).optional().isIn(AUTH_TYPES),
+  body("config.auth").if(providerIs("http")).optional()
+    .custom((auth) => {
+      const required = {
+        apiKey: ["name", "value"],
+        basic: ["username"],
+        bearer: ["token"],
+        oauth2: ["tokenUrl", "clientId", "clientSecret"],
+      }[auth?.type] || [];
+      return required.every((field) => auth[field]);
+    })
+    .withMessage("http connection auth is missing fields for its type"),
+];
+
+function postgresConfig(config) {
+  return {
+    connectionString: config.connectionString || null,
+    host: config.host || null,
+    port: Number(config.port) || 5432,
+    database: config.database || null,
+    user: config.user || null,
+    password: config.password || null,
+    ssl: config.ssl || false,
+    maxConnections: Number(config.maxConnections) || 5,
+  };
+}
+
+function httpConfig(config) {
+  const auth = config.auth || { type: "none" };
+  return {
+    baseUrl: config.baseUrl || null,
+    headers: config.headers || {},
+    auth: {
+      type: auth.type || "none",
+      ...(auth.type === "apiKey" && { name: auth.name, value: auth.value, in: auth.in === "query" ? "query" : "header" }),
+      ...(auth.type === "basic" && { username: auth.username, password: auth.password || "" }),
+      ...(auth.type === "bearer" && { token: auth.token }),
+      ...(auth.type === "oauth2" && {
+        tokenUrl: auth.tokenUrl, clientId: auth.clientId, clientSecret: auth.clientSecret,
+        scope: auth.scope || null, audience: auth.audience || null,
+      }),
+    },
+  };
+}
+
+// Hide secrets when returning a stored config
+function redactConfig(provider, cfg) {
+  if (provider === "http") {
+    const mask = (v) => (v ? "****" : v);
+    return {
+      ...cfg,
+      headers: Object.fromEntries(Object.keys(cfg.headers || {}).map((name) => [name, "****"])),
+      auth: { ...cfg.auth, value: mask(cfg.auth?.value), password: mask(cfg.auth?.password), token: mask(cfg.auth?.token), clientSecret: mask(cfg.auth?.clientSecret) },
+    };
+  }
+  if (provider === "postgres") {
+    return {
+      ...cfg,
+      password: cfg.password ? "****" : null,
+      connectionString: cfg.connectionString ? cfg.connectionString.replace(/:\/\/([^:/@]+):[^@]*@/, "://$1:****@") : null,
+    };
+  }
+  return { ...cfg, subscriptionKey: "****", apiKey: "****" };
+}
+
+// Test only (no save)
+router.post("/test",
+  ...connectionRules,
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
     try {
+      if (req.body.provider === "postgres") {
+        const info = await testPostgres(postgresConfig(req.body.config));
+        return res.json({ ok: true, database: info.database, version: info.version });
+      }
+      if (req.body.provider === "http") {
+        const { auth } = httpConfig(req.body.config);
+        // Only OAuth2 has something to check without knowing an endpoint
+        if (auth.type === "oauth2") await getClientCredentialsToken(auth);
+        return res.json({ ok: true, authType: auth.type });
+      }
       const cfg = req.body.config;
       const baseUrl = cfg.baseUrl || "https://sandbox.momodeveloper.mtn.com";
       const tok = await getAccessToken({
@@ -51,12 +137,7 @@ router.post("/test",
 
 // Save connection
 router.post("/",
-  body("provider").equals("mtn"),
-  body("env").isIn(["sandbox","production"]),
-  body("label").isLength({min:1}),
-  body("config.subscriptionKey").isLength({min:10}),
-  body("config.apiUserId").isUUID(),
-  body("config.apiKey").isLength({min:8}),
+  ...connectionRules,
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
@@ -64,6 +145,39 @@ router.post("/",
     const id = uuidv4();
     const owner = req.user?.id || uuidv4(); // TODO: replace with actual user id from your auth
     const orgId = req.user?.org;
+
+    if (req.body.provider === "postgres") {
+      const pgCfg = postgresConfig(req.body.config);
+      try {
+        await testPostgres(pgCfg);
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: e.message });
+      }
+      await ensureTable();
+      await query(
+        "INSERT INTO connections(id, owner_user_id, provider, env, label, config_enc) VALUES ($1,$2,$3,$4,$5,$6)",
+        [id, owner, "postgres", req.body.env, req.body.label, encryptJSON(pgCfg)]
+      );
+      return res.json({ id, provider: "postgres", env: req.body.env, label: req.body.label });
+    }
+
+    if (req.body.provider === "http") {
+      const httpCfg = httpConfig(req.body.config);
+      if (httpCfg.auth.type === "oauth2") {
+        try {
+          await getClientCredentialsToken(httpCfg.auth);
+        } catch (e) {
+          return res.status(400).json({ ok: false, error: e.response?.data || e.message });
+        }
+      }
+      await ensureTable();
+      await query(
+        "INSERT INTO connections(id, owner_user_id, provider, env, label, config_enc) VALUES ($1,$2,$3,$4,$5,$6)",
+        [id, owner, "http", req.body.env, req.body.label, encryptJSON(httpCfg)]
+      );
+      return res.json({ id, provider: "http", env: req.body.env, label: req.body.label });
+    }
+
     const cfg = {
       subscriptionKey: req.body.config.subscriptionKey,
       apiUserId: req.body.config.apiUserId,
@@ -167,7 +281,7 @@ router.get("/:id", async (req, res) => {
   );
   if (!rows[0]) return res.status(404).json({ error: "Not found" });
   const cfg = decryptJSON(rows[0].config_enc);
-  const redacted = { ...cfg, subscriptionKey: "****", apiKey: "****" };
+  const redacted = redactConfig(rows[0].provider, cfg);
   res.json({ id: rows[0].id, provider: rows[0].provider, env: rows[0].env, label: rows[0].label, config: redacted });
 });
 
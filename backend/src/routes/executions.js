@@ -3,23 +3,35 @@ import express from 'express';
 import ExecutionService from '../execution/ExecutionService.js';
 import { audit } from '../logging/audit.js';
 import { query } from '../db/postgres.js';
+import { idempotency } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
 /**
  * POST /api/executions/start
  * Start a flow execution
- * Body: { flowId, triggerType?, triggerData? }
+ * Body: { flowId, triggerType?, triggerData?, maxParallelism?, timeoutMs?, simulate? }
+ * simulate: true runs a dry run with mocked providers (see execution/simulation.js)
+ * Header: Idempotency-Key? (a repeat returns the first response, same executionId)
  */
-router.post('/start', async (req, res) => {
-  const { flowId, triggerType = 'manual', triggerData = {} } = req.body;
+router.post('/start', idempotency('executions.start'), async (req, res) => {
+  const { flowId, triggerType = 'manual', triggerData = {}, maxParallelism = null, timeoutMs = null, simulate = false } = req.body;
 
   if (!flowId) {
     return res.status(400).json({ error: 'flowId is required' });
   }
+  if (maxParallelism !== null && !(Number.isInteger(maxParallelism) && maxParallelism >= 1)) {
+    return res.status(400).json({ error: 'maxParallelism must be a positive integer' });
+  }
+  if (timeoutMs !== null && !(Number.isInteger(timeoutMs) && timeoutMs >= 1)) {
+    return res.status(400).json({ error: 'timeoutMs must be a positive integer' });
+  }
+  if (typeof simulate !== 'boolean') {
+    return res.status(400).json({ error: 'simulate must be a boolean' });
+  }
 
   try {
-    const result = await ExecutionService.startExecution(flowId, triggerType, triggerData);
+    const result = await ExecutionService.startExecution(flowId, triggerType, triggerData, { maxParallelism, timeoutMs, simulate });
 
     await audit(req, {
       userId: req.user?.id ?? null,
@@ -27,7 +39,7 @@ router.post('/start', async (req, res) => {
       targetType: 'flow',
       targetId: flowId,
       statusCode: 200,
-      metadata: { executionId: result.executionId, triggerType }
+      metadata: { executionId: result.executionId, triggerType, simulated: simulate }
     });
 
     res.json(result);
@@ -40,13 +52,15 @@ router.post('/start', async (req, res) => {
 /**
  * GET /api/executions/recent
  * List recent executions for the current user's organization
- * Query: limit? (default 20)
+ * Query: limit? (default 20), simulated? ('true' lists dry runs instead;
+ * they are left out by default so they never count towards KPIs)
  */
 router.get('/recent', async (req, res) => {
   const orgId = req.user?.org;
   if (!orgId) return res.status(401).json({ error: 'Organization not found' });
 
   const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const simulated = req.query.simulated === 'true';
   try {
     const { rows } = await query(
       `SELECT e.id,
@@ -57,13 +71,18 @@ router.get('/recent', async (req, res) => {
               e.trigger_data      AS "triggerData",
               e.started_at        AS "startedAt",
               e.completed_at      AS "completedAt",
+              e.resumed_from_execution_id AS "resumedFrom",
+              e.replayed_from_execution_id AS "replayedFrom",
+              e.parent_execution_id AS "parentExecutionId",
+              e.wake_at           AS "wakeAt",
+              e.simulated,
               f.name              AS "flowName"
        FROM flow_executions e
        JOIN flows f ON f.id = e.flow_id
-       WHERE f.org_id = $1
+       WHERE f.org_id = $1 AND e.simulated = $3
        ORDER BY e.started_at DESC
        LIMIT $2`,
-      [orgId, limit]
+      [orgId, limit, simulated]
     );
     res.json(rows);
   } catch (error) {
@@ -75,13 +94,16 @@ router.get('/recent', async (req, res) => {
 /**
  * GET /api/executions/flow/:flowId
  * Get all executions for a flow
+ * Query: limit? (default 20), simulated? ('true' lists dry runs instead, as
+ * in /recent)
  */
 router.get('/flow/:flowId', async (req, res) => {
   const { flowId } = req.params;
   const limit = parseInt(req.query.limit) || 20;
+  const simulated = req.query.simulated === 'true';
 
   try {
-    const executions = await ExecutionService.getFlowExecutions(flowId, limit);
+    const executions = await ExecutionService.getFlowExecutions(flowId, limit, { simulated });
     res.json(executions);
   } catch (error) {
     console.error('Failed to get flow executions:', error);
@@ -162,6 +184,112 @@ router.post('/:executionId/cancel', async (req, res) => {
     res.status(500).json({ error: error.message });
   }
 });
+/**
+ * POST /api/executions/:executionId/resume
+ * Re-run a failed execution from a chosen step, reusing completed upstream outputs
+ * Body: { fromNodeId? } (defaults to the step that ended the execution)
+ */
+router.post('/:executionId/resume', async (req, res) => {
+  const { executionId } = req.params;
+  const { fromNodeId = null } = req.body || {};
+  const orgId = req.user?.org;
+
+  try {
+    if (!orgId) return res.status(401).json({ error: 'Organization not found' });
+
+    const owned = await query(
+      `SELECT e.id
+       FROM flow_executions e
+       JOIN flows f ON f.id = e.flow_id
+       WHERE e.id = $1 AND f.org_id = $2`,
+      [executionId, orgId]
+    );
+    if (owned.rowCount === 0) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+
+    let result;
+    try {
+      result = await ExecutionService.resumeExecution(executionId, fromNodeId);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await audit(req, {
+      userId: req.user?.id ?? null,
+      action: 'FLOW_EXECUTION_RESUMED',
+      targetType: 'execution',
+      targetId: executionId,
+      statusCode: 200,
+      metadata: { newExecutionId: result.executionId, fromNodeId: result.fromNodeId }
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Failed to resume execution:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/executions/:executionId/replay
+ * Start a new execution with the stored trigger payload of a previous one
+ * Body: { useLatestVersion?, triggerData?, edits? }
+ *   triggerData replaces the payload, edits is merge-patched onto it
+ */
+router.post('/:executionId/replay', async (req, res) => {
+  const { executionId } = req.params;
+  const { useLatestVersion = false, triggerData = null, edits = null } = req.body || {};
+  const orgId = req.user?.org;
+
+  const isPlainObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  if (triggerData !== null && !isPlainObject(triggerData)) {
+    return res.status(400).json({ error: 'triggerData must be a JSON object' });
+  }
+  if (edits !== null && !isPlainObject(edits)) {
+    return res.status(400).json({ error: 'edits must be a JSON object' });
+  }
+
+  try {
+    if (!orgId) return res.status(401).json({ error: 'Organization not found' });
+
+    const owned = await query(
+      `SELECT e.id
+       FROM flow_executions e
+       JOIN flows f ON f.id = e.flow_id
+       WHERE e.id = $1 AND f.org_id = $2`,
+      [executionId, orgId]
+    );
+    if (owned.rowCount === 0) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+
+    const result = await ExecutionService.replayExecution(executionId, {
+      useLatestVersion: Boolean(useLatestVersion),
+      triggerData,
+      edits
+    });
+
+    await audit(req, {
+      userId: req.user?.id ?? null,
+      action: 'FLOW_EXECUTION_REPLAYED',
+      targetType: 'execution',
+      targetId: executionId,
+      statusCode: 200,
+      metadata: {
+        newExecutionId: result.executionId,
+        version: result.version,
+        edited: Boolean(triggerData || edits)
+      }
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Failed to replay execution:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * DELETE /api/executions/:executionId
  * Delete an execution record and all its associated data
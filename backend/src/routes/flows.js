@@ -5,6 +5,8 @@ import { saveFlow as fileSaveFlow, getFlow as fileGetFlow, listFlows as fileList
 import crypto from 'crypto';
 import { audit } from "../logging/audit.js";
 import ExecutionService from "../execution/ExecutionService.js";
+import { validateGraphExpressions } from "../execution/expression.js";
+import { applyMapping, validateMappingSpec, validateGraphMappings } from "../execution/mapping.js";
 
 const router = express.Router();
 
@@ -203,6 +205,27 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/** POST /api/flows/mapping/preview
+ * Body: { spec, sample }
+ * Runs a mapping spec against a sample payload without executing a flow.
+ * `sample` stands in for what a mapping transform sees at runtime
+ * ({ trigger, nodes, vars, input }), or any object for ad-hoc checks.
+ */
+router.post('/mapping/preview', (req, res) => {
+  const { spec, sample = {} } = req.body || {};
+
+  const errors = validateMappingSpec(spec);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid mapping spec', details: errors });
+  }
+
+  try {
+    res.json({ output: applyMapping(spec, sample) });
+  } catch (e) {
+    res.status(422).json({ error: e.message });
+  }
+});
+
 /** POST /api/flows/:id/versions
  * Body: { graph, variables }
  * Creates a new version: version = (max(version) + 1) or 1 if none.
@@ -213,6 +236,16 @@ router.post('/:id/versions', async (req, res) => {
   const { graph, variables } = req.body || {};
   if (!graph) return res.status(400).json({ error: 'graph (JSON) is required' });
 
+  // Reject versions whose condition/mapping expressions do not parse
+  const expressionErrors = validateGraphExpressions(graph);
+  if (expressionErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid expressions in flow graph', details: expressionErrors });
+  }
+  const mappingErrors = validateGraphMappings(graph);
+  if (mappingErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid mapping specs in flow graph', details: mappingErrors });
+  }
+
   try {
     // If DB is disabled, save version to file store fallback
     if (!pool) {
@@ -2,6 +2,8 @@ import express from 'express';
 import flutterwaveClient from '../providers/flutterwave/index.js';
 import { listConnectors, saveConnector, getConnectorSecret } from '../db/connectorStore.js';
 import { query } from '../db/postgres.js';
+import ExecutionCallbacks from '../execution/ExecutionCallbacks.js';
+import { idempotency, idempotencyDigest } from '../middleware/idempotency.js';
 
 const router = express.Router();
 const FLW_BASE_URL = process.env.FLW_BASE_URL || 'https://api.flutterwave.com/v3';
@@ -102,8 +104,8 @@ router.post('/api/connectors/flutterwave/test', express.json(), async (req, res)
   }
 });
 
-/** Create a hosted checkout payment */
-router.post('/api/flutterwave/payments', express.json(), async (req, res) => {
+/** Create a hosted checkout payment (Idempotency-Key supported; it also fixes the default tx_ref) */
+router.post('/api/flutterwave/payments', express.json(), idempotency('flutterwave.payments'), async (req, res) => {
   const userId = getUserId(req);
   const orgId = req.user?.org;
   const {
@@ -129,7 +131,7 @@ router.post('/api/flutterwave/payments', express.json(), async (req, res) => {
     const resp = await fw.createPayment({
       amount,
       currency,
-      tx_ref: tx_ref || `tx-${Date.now()}`,
+      tx_ref: tx_ref || (req.idempotencyKey ? `tx-${idempotencyDigest(req.idempotencyKey).slice(0, 32)}` : `tx-${Date.now()}`),
       customer,
       meta,
       redirect_url,
@@ -198,15 +200,29 @@ router.get('/api/flutterwave/verify', async (req, res) => {
   }
 });
 
-/** Webhook endpoint (optional, for async confirmations) */
-router.post('/webhooks/flutterwave', express.json({ type: '*/*' }), (req, res) => {
+/**
+ * Webhook endpoint: wakes flows waiting on the payment's tx_ref. The flow
+ * verifies the transaction with Flutterwave before using it, so an unsigned
+ * or forged webhook cannot mark a payment as paid.
+ */
+router.post('/webhooks/flutterwave', express.json({ type: '*/*' }), async (req, res) => {
   const sig = req.headers['verif-hash'];
   if (WEBHOOK_SECRET && sig !== WEBHOOK_SECRET) {
     return res.status(401).json({ error: 'Invalid webhook signature' });
   }
-  // TODO: hook into your flow runner here
-  console.log('FW Webhook:', JSON.stringify(req.body));
-  return res.sendStatus(200);
+
+  const txRef = req.body?.data?.tx_ref || req.body?.txRef;
+  if (!txRef) return res.sendStatus(200);
+
+  try {
+    const { matched, executionId } = await ExecutionCallbacks.receive('flutterwave', txRef, req.body);
+    if (matched) console.log(`FW Webhook ${txRef} resumed execution ${executionId}`);
+    return res.sendStatus(200);
+  } catch (e) {
+    console.error('Failed to record Flutterwave webhook:', e);
+    // Non-2xx makes Flutterwave retry the delivery
+    return res.sendStatus(500);
+  }
 });
 
 export default router;
@@ -3,9 +3,13 @@ import express from "express";
 import { v4 as uuidv4 } from "uuid";
 import { query } from "../db/postgres.js";
 import { decryptJSON } from "../utils/crypto.js";
-import { MTNConnector } from "../providers/mtn/index.js";
+import { MTNConnector, referenceIdFor } from "../providers/mtn/index.js";
+import ExecutionCallbacks from "../execution/ExecutionCallbacks.js";
+import { idempotency, idempotencyDigest } from "../middleware/idempotency.js";
 
 const router = express.Router();
+// Public routes (no auth): MoMo calls these itself
+export const webhookRouter = express.Router();
 
 async function getConnectionConfig(connectionId) {
   const { rows } = await query("SELECT config_enc FROM connections WHERE id=$1", [connectionId]);
@@ -13,8 +17,8 @@ async function getConnectionConfig(connectionId) {
   return decryptJSON(rows[0].config_enc);
 }
 
-// 🔹 Request to Pay
-router.post("/request-to-pay", async (req, res) => {
+// 🔹 Request to Pay (Idempotency-Key supported; the key also fixes the X-Reference-Id)
+router.post("/request-to-pay", idempotency("mtn.requestToPay"), async (req, res) => {
   try {
     const { connectionId, amount, currency, msisdn, externalId, message } = req.body;
     if (!connectionId || !amount || !msisdn || !externalId) {
@@ -22,7 +26,9 @@ router.post("/request-to-pay", async (req, res) => {
     }
     const cfg = await getConnectionConfig(connectionId);
     const connector = new MTNConnector(cfg);
-    const referenceId = uuidv4();
+    const referenceId = req.idempotencyKey
+      ? referenceIdFor(idempotencyDigest(req.idempotencyKey))
+      : uuidv4();
     const result = await connector.requestToPay({
       amount,
       currency: currency || "UGX",
@@ -80,5 +86,29 @@ router.get("/accountholder", async (req, res) => {
   }
 });
 
+// 🔹 RequestToPay callback (X-Callback-Url). Flow nodes tag the URL with
+// ?referenceId=..., the payment's X-Reference-Id, which correlates it to the
+// waiting flow. The reference is derived from the execution and node ids
+// (see referenceIdFor), so it is guessable: the callback only wakes the flow,
+// which then reads the payment status from MTN itself.
+async function handleCallback(req, res) {
+  const referenceId = req.query.referenceId || req.get("X-Reference-Id") || req.body?.referenceId;
+  if (!referenceId) return res.sendStatus(200);
+
+  try {
+    const { matched, executionId } = await ExecutionCallbacks.receive("mtn", referenceId, req.body);
+    if (matched) console.log(`MTN Callback ${referenceId} resumed execution ${executionId}`);
+    res.sendStatus(200);
+  } catch (e) {
+    console.error("Failed to record MTN callback:", e);
+    res.sendStatus(500);
+  }
+}
+
+webhookRouter
+  .route("/webhooks/mtn")
+  .put(express.json({ type: "*/*" }), handleCallback)
+  .post(express.json({ type: "*/*" }), handleCallback);
+
 export default router;
 
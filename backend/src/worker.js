@@ -0,0 +1,31 @@
+// src/worker.js
+// Standalone execution worker: runs queued flow executions outside the web process.
+// Start with `npm run worker`; scale by running more instances.
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../.env") });
+
+const { pool } = await import("./db/postgres.js");
+const { default: ExecutionWorker } = await import("./execution/ExecutionWorker.js");
+
+if (!pool) {
+  console.error("❌ Execution worker needs a database connection (DATABASE_URL)");
+  process.exit(1);
+}
+
+const worker = new ExecutionWorker();
+await worker.start();
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, draining execution worker...`);
+  await worker.stop();
+  await pool.end();
+  process.exit(0);
+};
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
@@ -0,0 +1,77 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import ExecutionQueue from "../../src/execution/ExecutionQueue.js";
+
+beforeEach(() => fakeDb.reset());
+
+test("enqueue writes through the creating transaction's client when given one", async () => {
+  const clientCalls = [];
+  const client = { query: async (sql, params) => { clientCalls.push(params); return { rows: [{ id: "job-1" }] }; } };
+
+  assert.equal(await ExecutionQueue.enqueue("exec-1", { client, maxAttempts: 5 }), "job-1");
+  assert.deepEqual(clientCalls, [["exec-1", null, 5]]);
+  assert.equal(fakeDb.calls.length, 0, "nothing went through the pool");
+
+  await ExecutionQueue.enqueue("exec-2", { runAt: "2026-01-01T00:00:00Z" });
+  assert.deepEqual(fakeDb.calls[0].params, ["exec-2", "2026-01-01T00:00:00Z", 3]);
+});
+
+test("claimNext takes one due queued job under a lease, skipping locked rows", async () => {
+  fakeDb.on(/SET status = 'running', locked_by = \$1/, (sql, params) => ({
+    rows: [{ id: "job-1", execution_id: "exec-1", locked_by: params[0] }],
+  }));
+
+  const job = await ExecutionQueue.claimNext("w1", 30000);
+  assert.equal(job.locked_by, "w1");
+
+  const [claim] = fakeDb.statements(/SET status = 'running'/);
+  assert.deepEqual(claim.params, ["w1", 30000]);
+  assert.match(claim.sql, /WHERE status = 'queued' AND run_at <= now\(\)/);
+  assert.match(claim.sql, /FOR UPDATE SKIP LOCKED LIMIT 1/);
+  assert.match(claim.sql, /attempts = attempts \+ 1/);
+
+  fakeDb.reset();
+  assert.equal(await ExecutionQueue.claimNext("w1", 30000), null, "an empty queue yields null");
+});
+
+test("heartbeat and completion only apply to the worker holding the lease", async () => {
+  const jobs = new Map([["job-1", { locked_by: "w1", status: "running" }]]);
+  fakeDb.on(/SET lease_expires_at = now\(\)/, (sql, [id, workerId]) => {
+    const job = jobs.get(id);
+    return { rows: [], rowCount: job?.locked_by === workerId && job.status === "running" ? 1 : 0 };
+  });
+  fakeDb.on(/SET status = 'done'/, (sql, [id, workerId]) => {
+    const job = jobs.get(id);
+    if (job?.locked_by === workerId) Object.assign(job, { status: "done", locked_by: null });
+    return { rows: [] };
+  });
+
+  assert.equal(await ExecutionQueue.heartbeat("job-1", "w2", 30000), false);
+  assert.equal(await ExecutionQueue.heartbeat("job-1", "w1", 30000), true);
+
+  await ExecutionQueue.complete("job-1", "w2");
+  assert.equal(jobs.get("job-1").status, "running");
+  await ExecutionQueue.complete("job-1", "w1");
+  assert.equal(jobs.get("job-1").status, "done");
+  assert.equal(await ExecutionQueue.heartbeat("job-1", "w1", 30000), false, "a finished job has no lease to renew");
+});
+
+test("recoverOrphans requeues untouched jobs and fails ones that already ran steps", async () => {
+  fakeDb.on(/SET status = 'queued', locked_by = NULL/, () => ({ rows: [{ execution_id: "exec-fresh" }] }));
+  fakeDb.on(/UPDATE execution_jobs SET status = 'failed'/, () => ({ rows: [{ execution_id: "exec-started" }] }));
+  fakeDb.on(/UPDATE flow_executions e SET status = 'failed'/, () => ({ rows: [{ id: "exec-started" }, { id: "exec-lost" }] }));
+
+  assert.deepEqual(await ExecutionQueue.recoverOrphans(), { requeued: 1, failed: 1, orphaned: 2 });
+
+  const [requeue] = fakeDb.statements(/SET status = 'queued', locked_by = NULL/);
+  assert.match(requeue.sql, /NOT EXISTS \(SELECT 1 FROM execution_steps/);
+  assert.match(requeue.sql, /j.attempts < j.max_attempts/);
+  const [requeuedRuns] = fakeDb.statements(/UPDATE flow_executions SET status = 'queued'/);
+  assert.deepEqual(requeuedRuns.params, [["exec-fresh"]]);
+});
+
+test("recoverOrphans leaves executions alone when nothing was requeued", async () => {
+  assert.deepEqual(await ExecutionQueue.recoverOrphans(), { requeued: 0, failed: 0, orphaned: 0 });
+  assert.equal(fakeDb.statements(/UPDATE flow_executions SET status = 'queued'/).length, 0);
+});
@@ -0,0 +1,36 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import ExecutionService from "../../src/execution/ExecutionService.js";
+
+beforeEach(() => {
+  fakeDb.reset();
+  fakeDb.on(/FROM flows f/, () => ({ rows: [{ id: "flow-1", name: "Payout", latest_version: 2 }] }));
+  fakeDb.on(/INSERT INTO flow_executions/, () => ({ rows: [{ id: "exec-1" }] }));
+  fakeDb.on(/INSERT INTO execution_jobs/, () => ({ rows: [{ id: "job-1" }] }));
+});
+
+test("startExecution creates the execution and its queue job in one transaction", async () => {
+  const result = await ExecutionService.startExecution("flow-1", "manual", { amount: 10 });
+
+  assert.equal(result.executionId, "exec-1");
+  assert.equal(result.status, "queued");
+  const order = fakeDb.calls.map(c => c.sql.split(" ").slice(0, 3).join(" "));
+  const begin = order.indexOf("BEGIN");
+  assert.deepEqual(order.slice(begin, begin + 4), [
+    "BEGIN",
+    "INSERT INTO flow_executions",
+    "INSERT INTO execution_jobs",
+    "COMMIT",
+  ]);
+});
+
+test("startExecution rolls the execution back when its job cannot be queued", async () => {
+  fakeDb.on(/INSERT INTO execution_jobs/, () => {
+    throw new Error("queue unavailable");
+  });
+
+  await assert.rejects(ExecutionService.startExecution("flow-1"), /queue unavailable/);
+  assert.equal(fakeDb.statements(/^ROLLBACK/).length, 1);
+  assert.equal(fakeDb.statements(/^COMMIT/).length, 0);
+});
@@ -0,0 +1,41 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import ExecutionWorker from "../../src/execution/ExecutionWorker.js";
+
+const graph = {
+  nodes: [
+    { id: "start", type: "trigger" },
+    { id: "pause", type: "delay", config: { delayMs: 4000 } },
+    { id: "after", type: "transform", config: { transformation: "passthrough" } },
+  ],
+  edges: [
+    { from: "start", to: "pause" },
+    { from: "pause", to: "after" },
+  ],
+};
+
+beforeEach(() => {
+  fakeDb.reset();
+  fakeDb.on(/^UPDATE flow_executions SET status = 'running'/, () => ({
+    rows: [{ id: "exec-1", flow_id: "flow-1", flow_version: 1, trigger_type: "manual", trigger_data: {}, wake_at: null }],
+  }));
+  fakeDb.on(/FROM flow_versions/, () => ({ rows: [{ graph, variables: {} }] }));
+  fakeDb.on(/INSERT INTO execution_steps .* RETURNING id/, () => ({ rows: [{ id: "step-1" }] }));
+});
+
+test("a worker whose lease is gone abandons the execution without touching its status", async () => {
+  // Heartbeats find the job locked by someone else
+  fakeDb.on(/SET lease_expires_at/, () => ({ rows: [], rowCount: 0 }));
+  const worker = new ExecutionWorker({ workerId: "w1", leaseMs: 3000 });
+
+  const started = Date.now();
+  await worker.runJob({ id: "job-1", execution_id: "exec-1" });
+
+  assert.ok(Date.now() - started < 3500, "the delay was interrupted");
+  const statusWrites = fakeDb.statements(/^UPDATE flow_executions SET status = (?!'running')/);
+  assert.deepEqual(statusWrites, []);
+  const ranAfter = fakeDb.statements(/INSERT INTO execution_steps/)
+    .some(c => c.params.includes("after") && !c.sql.includes("'skipped'"));
+  assert.ok(!ranAfter, "nodes after the interrupted one do not run");
+});
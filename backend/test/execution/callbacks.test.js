@@ -0,0 +1,78 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow } from "../support/flows.js";
+import ExecutionCallbacks from "../../src/execution/ExecutionCallbacks.js";
+
+// Emulates execution_callbacks with the conflict rule of register()
+let callbacks;
+let liveExecutions;
+
+beforeEach(() => {
+  fakeDb.reset();
+  callbacks = new Map();
+  liveExecutions = new Set(["exec-1", "exec-2"]);
+
+  fakeDb.on(/^INSERT INTO execution_callbacks/, (sql, [provider, key, executionId, stepId, nodeId]) => {
+    const id = `${provider}:${key}`;
+    const existing = callbacks.get(id);
+    const free = !existing || existing.execution_id === executionId
+      || ["consumed", "expired"].includes(existing.status) || !liveExecutions.has(existing.execution_id);
+    if (!free) return { rows: [] };
+    const row = { id, provider, correlation_key: key, execution_id: executionId, step_id: stepId, node_id: nodeId, status: "waiting" };
+    callbacks.set(id, row);
+    return { rows: [row] };
+  });
+  fakeDb.on(/^UPDATE execution_callbacks SET status = 'received'/, (sql, [provider, key]) => {
+    const row = callbacks.get(`${provider}:${key}`);
+    if (row?.status !== "waiting") return { rows: [] };
+    row.status = "received";
+    return { rows: [{ execution_id: row.execution_id }] };
+  });
+});
+
+const register = (executionId, key = "ref-1") => ExecutionCallbacks.register({
+  provider: "mtn", correlationKey: key, executionId, stepId: `step-${executionId}`, nodeId: "paid", expiresAt: new Date(),
+});
+
+test("a second execution cannot take over a key another execution is waiting on", async () => {
+  await register("exec-1");
+  await assert.rejects(register("exec-2"), /Another execution is already waiting for mtn callback ref-1/);
+  const [insert] = fakeDb.statements(/^INSERT INTO execution_callbacks/);
+  assert.match(insert.sql, /DO UPDATE .* WHERE execution_callbacks\.execution_id = EXCLUDED\.execution_id/);
+
+  const woken = await ExecutionCallbacks.receive("mtn", "ref-1", { status: "SUCCESSFUL" });
+  assert.deepEqual(woken, { matched: true, executionId: "exec-1" });
+  const [wake] = fakeDb.statements(/UPDATE execution_jobs SET run_at = now\(\)/);
+  assert.deepEqual(wake.params, ["exec-1"]);
+});
+
+test("a key is free again for its own execution and once its waiter is done", async () => {
+  await register("exec-1");
+  await register("exec-1");
+
+  liveExecutions.delete("exec-1");
+  assert.equal((await register("exec-2")).execution_id, "exec-2");
+});
+
+test("callbacks for keys nobody waits on wake nothing", async () => {
+  assert.deepEqual(await ExecutionCallbacks.receive("mtn", "unknown", {}), { matched: false, executionId: null });
+  assert.equal(fakeDb.statements(/execution_jobs/).length, 0);
+});
+
+test("a wait-for-callback node fails when its key is held by another execution", async () => {
+  await register("exec-2", "ref-held");
+  liveExecutions.add("exec-3");
+
+  const result = await runFlow({
+    nodes: [
+      { id: "start", type: "trigger" },
+      { id: "paid", type: "waitForCallback", config: { provider: "mtn", referenceId: "ref-held", connectionId: "conn-1" } },
+    ],
+    edges: [{ from: "start", to: "paid" }],
+  }, { executionId: "exec-3" });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Another execution is already waiting for mtn callback ref-held/);
+  assert.equal(callbacks.get("mtn:ref-held").execution_id, "exec-2");
+});
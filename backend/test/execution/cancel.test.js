@@ -0,0 +1,65 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow, recordSteps } from "../support/flows.js";
+import ExecutionService from "../../src/execution/ExecutionService.js";
+
+let steps;
+
+beforeEach(() => {
+  fakeDb.reset();
+  steps = recordSteps();
+});
+
+const graph = (delay) => ({
+  nodes: [
+    { id: "start", type: "trigger" },
+    { id: "pause", type: "delay", config: delay },
+    { id: "after", type: "transform", config: { transformation: "passthrough" } },
+    { id: "notify", type: "transform", config: { transformation: "passthrough" } },
+  ],
+  edges: [{ from: "start", to: "pause" }, { from: "pause", to: "after" }, { from: "after", to: "notify" }],
+});
+
+const cancelFrom = (previousStatus) => fakeDb.on(/^UPDATE flow_executions e SET status = 'cancelled'/, () => ({
+  rows: [{ flow_id: "flow-1", flow_version: 1, previous_status: previousStatus }],
+}));
+
+test("cancelling a running execution aborts it in this process", async () => {
+  const running = runFlow(graph({ delayMs: 4000 }), { executionId: "exec-running" });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  cancelFrom("running");
+  const started = Date.now();
+  await ExecutionService.cancelExecution("exec-running");
+  const result = await running;
+
+  assert.equal(result.cancelled, true);
+  assert.ok(Date.now() - started < 1000, "the delay was interrupted");
+  const byNode = Object.fromEntries(steps.map(s => [s.node_id, s]));
+  assert.equal(byNode.pause.status, "cancelled");
+  assert.equal(byNode.after.status, "skipped");
+  assert.equal(fakeDb.statements(/UPDATE execution_jobs SET status = 'cancelled'/)[0].params[0], "exec-running");
+});
+
+test("cancelling a suspended execution closes its wait and skips what never ran", async () => {
+  const suspended = await runFlow(graph({ hours: 6 }), { executionId: "exec-waiting" });
+  assert.equal(suspended.waiting, true);
+
+  cancelFrom("waiting");
+  await ExecutionService.cancelExecution("exec-waiting");
+
+  const byNode = Object.fromEntries(steps.map(s => [s.node_id, s]));
+  assert.equal(byNode.start.status, "completed");
+  assert.equal(byNode.pause.status, "cancelled");
+  assert.equal(byNode.pause.error_message, "Execution cancelled");
+  assert.equal(byNode.after.status, "skipped");
+  assert.equal(byNode.notify.status, "skipped");
+  assert.equal(steps.length, 4, "one step per node");
+  assert.equal(fakeDb.statements(/UPDATE execution_callbacks SET status = 'expired'/)[0].params[0], "exec-waiting");
+});
+
+test("an execution that already finished is left as it was", async () => {
+  await ExecutionService.cancelExecution("exec-done");
+  assert.equal(fakeDb.statements(/execution_steps/).length, 0);
+});
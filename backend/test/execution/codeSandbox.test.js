@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runCode } from "../../src/execution/codeSandbox.js";
+
+test("a code node returns its JSON value and captured logs", async () => {
+  const result = await runCode("console.log('total', input.a + input.b); return { sum: input.a + input.b };", { input: { a: 2, b: 3 } });
+  assert.deepEqual(result, { output: { sum: 5 }, logs: [{ level: "info", message: "total 5" }] });
+});
+
+test("a non-serialisable return value is reported as such", async () => {
+  for (const [code, reason] of [
+    ["return 10n;", /not serialisable: .*BigInt/],
+    ["const a = {}; a.self = a; return a;", /not serialisable: .*circular/],
+    ["return () => 1;", /not serialisable \(function\)/],
+    ["return { toJSON() { throw 'nope'; } };", /not serialisable: nope/],
+  ]) {
+    await assert.rejects(runCode(code), (error) => {
+      assert.match(error.message, reason);
+      assert.doesNotMatch(error.message, /never resolves/);
+      return true;
+    }, code);
+  }
+});
+
+test("code awaiting a promise that never settles is still reported", async () => {
+  await assert.rejects(runCode("await new Promise(() => {});"), /never resolves/);
+});
@@ -0,0 +1,103 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow, recordSteps } from "../support/flows.js";
+
+let steps;
+
+beforeEach(() => {
+  fakeDb.reset();
+  steps = recordSteps();
+});
+
+const undo = { type: "transform", config: { transformation: "mapping", spec: { released: "output.item" } } };
+
+test("steps completed inside a loop body are compensated when the run fails later", async () => {
+  const result = await runFlow({
+    nodes: [
+      { id: "start", type: "trigger" },
+      {
+        id: "reserveAll",
+        type: "loop",
+        config: {
+          items: [1, 2, 3],
+          body: { nodes: [{ id: "reserve", type: "transform", config: { transformation: "passthrough", compensation: undo } }], edges: [] },
+        },
+      },
+      { id: "charge", type: "transform", config: { transformation: "mapping", spec: { card: { path: "trigger.card", required: true } } } },
+    ],
+    edges: [{ from: "start", to: "reserveAll" }, { from: "reserveAll", to: "charge" }],
+  });
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.compensation, { compensated: 3, failed: 0 });
+  const undone = fakeDb.statements(/INSERT INTO execution_steps .*compensates_step_id/).map(c => c.params[1]);
+  assert.deepEqual(undone, ["reserveAll[2].reserve:compensate", "reserveAll[1].reserve:compensate", "reserveAll[0].reserve:compensate"]);
+});
+
+const mapping = (spec) => ({ transformation: "mapping", spec });
+
+// collect -> fee -> settle, where collect and fee declare how to undo themselves
+const paymentFlow = ({ feeCompensation = mapping({ reversed: { value: "{{ output.charged }}" } }), settle = { type: "transform", config: mapping({ bank: { path: "trigger.bank", required: true } }) } } = {}) => ({
+  nodes: [
+    { id: "start", type: "trigger" },
+    { id: "collect", type: "transform", config: { ...mapping({ reference: "trigger.reference" }), compensation: { type: "transform", config: mapping({ refundOf: { value: "{{ output.reference }}" } }) } } },
+    { id: "fee", type: "transform", config: { ...mapping({ charged: { value: 25 } }), compensation: { type: "transform", config: feeCompensation } } },
+    { id: "log", type: "transform", config: { transformation: "passthrough" } },
+    { id: "settle", ...settle },
+  ],
+  edges: [{ from: "start", to: "collect" }, { from: "collect", to: "fee" }, { from: "fee", to: "log" }, { from: "log", to: "settle" }],
+});
+
+const compensationSteps = () => steps.filter(s => s.compensates_step_id);
+const stepOf = (nodeId) => steps.find(s => s.node_id === nodeId);
+
+test("a failed run compensates its completed steps in reverse order, each as its own step", async () => {
+  const result = await runFlow(paymentFlow(), { triggerData: { reference: "ref-1" } });
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.compensation, { compensated: 2, failed: 0 });
+  assert.deepEqual(compensationSteps().map(s => [s.node_id, s.compensates_step_id, s.status]), [
+    ["fee:compensate", stepOf("fee").id, "completed"],
+    ["collect:compensate", stepOf("collect").id, "completed"],
+  ]);
+  assert.equal(stepOf("settle").status, "failed", "the failed step itself is left as it was");
+});
+
+test("compensation templates see the output of the step they undo as `output`", async () => {
+  await runFlow(paymentFlow(), { triggerData: { reference: "ref-1" } });
+
+  const [fee, collect] = compensationSteps();
+  assert.deepEqual(collect.input_data, { reference: "ref-1" });
+  assert.deepEqual(collect.output_data, { refundOf: "ref-1" });
+  assert.deepEqual(fee.output_data, { reversed: 25 });
+});
+
+test("a failed compensation is recorded and the remaining ones still run", async () => {
+  const result = await runFlow(paymentFlow({ feeCompensation: mapping({ reversal: { path: "trigger.reversalId", required: true } }) }), {
+    triggerData: { reference: "ref-1" },
+  });
+
+  assert.deepEqual(result.compensation, { compensated: 1, failed: 1 });
+  const [fee, collect] = compensationSteps();
+  assert.equal(fee.status, "failed");
+  assert.match(fee.error_message, /'reversal': value is required/);
+  assert.equal(collect.status, "completed");
+});
+
+test("a run that times out is compensated too", async () => {
+  const result = await runFlow(paymentFlow({ settle: { type: "delay", config: { delayMs: 500, timeoutMs: 20 } } }), {
+    triggerData: { reference: "ref-1" },
+  });
+
+  assert.equal(result.timedOut, true);
+  assert.deepEqual(result.compensation, { compensated: 2, failed: 0 });
+  assert.equal(stepOf("settle").status, "timed_out");
+});
+
+test("a successful run compensates nothing", async () => {
+  const result = await runFlow(paymentFlow(), { triggerData: { reference: "ref-1", bank: "stanbic" } });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(compensationSteps(), []);
+});
@@ -0,0 +1,64 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow } from "../support/flows.js";
+
+const graph = (condition) => ({
+  nodes: [
+    { id: "start", type: "trigger" },
+    { id: "big", type: "condition", config: { condition } },
+    { id: "review", type: "transform", config: { transformation: "passthrough" } },
+    { id: "approve", type: "transform", config: { transformation: "passthrough" } },
+  ],
+  edges: [
+    { from: "start", to: "big" },
+    { from: "big", to: "review", branch: "true" },
+    { from: "big", to: "approve", branch: "false" },
+  ],
+});
+
+beforeEach(() => fakeDb.reset());
+
+test("a condition picks the branch matching its result", async () => {
+  const result = await runFlow(graph("trigger.amount > 1000"), { triggerData: { amount: 5000 } });
+
+  assert.equal(result.status, "completed");
+  assert.ok("review" in result.outputs);
+  assert.ok(!("approve" in result.outputs));
+});
+
+test("a condition that cannot be evaluated fails the run instead of taking the false branch", async () => {
+  const result = await runFlow(graph("trigger.amount > 1000"));
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Condition evaluation failed/);
+  const failedStep = fakeDb.statements(/UPDATE execution_steps SET status = \$1/).find(c => c.params[0] === "failed");
+  assert.ok(failedStep, "the condition step is marked failed");
+});
+
+test("a failing condition follows its error branch and the run ends completed_with_errors", async () => {
+  const flow = graph("trigger.amount > 1000");
+  flow.nodes.push({
+    id: "fallback",
+    type: "transform",
+    config: { transformation: "mapping", spec: { reason: "error.message", node: "error.nodeId" } },
+  });
+  flow.edges.push({ from: "big", to: "fallback", branch: "error" });
+
+  const result = await runFlow(flow);
+
+  assert.equal(result.status, "completed_with_errors");
+  assert.equal(result.handledErrors.length, 1);
+  assert.equal(result.outputs.fallback.node, "big");
+  assert.match(result.outputs.fallback.reason, /Condition evaluation failed/);
+  assert.ok(!("review" in result.outputs));
+  assert.ok(!("approve" in result.outputs));
+});
+
+test("a boolean condition is used as it is", async () => {
+  const result = await runFlow(graph(false));
+
+  assert.equal(result.status, "completed");
+  assert.ok("approve" in result.outputs);
+  assert.ok(!("review" in result.outputs));
+});
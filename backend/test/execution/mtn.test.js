@@ -0,0 +1,123 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow } from "../support/flows.js";
+import { encryptJSON } from "../../src/utils/crypto.js";
+
+// A stand-in for the MoMo collection API
+let server;
+let requests;
+let payments;
+
+beforeEach(async () => {
+  fakeDb.reset();
+  requests = [];
+  payments = new Map();
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const send = (status, data) => {
+        res.statusCode = status;
+        res.setHeader("Content-Type", "application/json");
+        res.end(data === undefined ? "" : JSON.stringify(data));
+      };
+      if (req.url === "/collection/token/") return send(200, { access_token: "token-1", expires_in: 3600 });
+      if (req.method === "POST" && req.url === "/collection/v1_0/requesttopay") {
+        const reference = req.headers["x-reference-id"];
+        if (payments.has(reference)) return send(409, { code: "RESOURCE_ALREADY_EXIST" });
+        payments.set(reference, JSON.parse(body));
+        return send(202);
+      }
+      const status = /^\/collection\/v1_0\/requesttopay\/(.+)$/.exec(req.url);
+      if (status) {
+        const payment = payments.get(status[1]);
+        return payment
+          ? send(200, { ...payment, status: "SUCCESSFUL", financialTransactionId: "ft-1" })
+          : send(404, { code: "RESOURCE_NOT_FOUND", message: "Requested resource was not found." });
+      }
+      if (req.url === "/collection/v1_0/account/balance") return send(200, { availableBalance: "1000", currency: "EUR" });
+      if (req.url.startsWith("/collection/v1_0/accountholder/msisdn/")) return send(200, { result: true });
+      return send(404, {});
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  fakeDb.on(/FROM connections/, () => ({
+    rows: [{
+      provider: "mtn",
+      config_enc: encryptJSON({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        subscriptionKey: "sub-key", apiUserId: "user", apiKey: "secret", targetEnvironment: "sandbox",
+      }),
+    }],
+  }));
+});
+
+afterEach(() => server.close());
+
+const paymentFlow = {
+  nodes: [
+    { id: "start", type: "trigger" },
+    { id: "holder", type: "mtn.getAccountHolder", config: { connectionId: "conn-1", msisdn: "{{ trigger.msisdn }}" } },
+    { id: "pay", type: "mtn.requestToPay", config: { connectionId: "conn-1", amount: "{{ trigger.amount }}", msisdn: "{{ trigger.msisdn }}" } },
+    { id: "status", type: "mtn.checkStatus", config: { connectionId: "conn-1" } },
+    { id: "balance", type: "mtn.getBalance", config: { connectionId: "conn-1" } },
+  ],
+  edges: [
+    { from: "start", to: "holder" },
+    { from: "holder", to: "pay" },
+    { from: "pay", to: "status" },
+    { from: "status", to: "balance" },
+  ],
+};
+
+test("MTN nodes call the MoMo API with the selected connection and map its results", async () => {
+  const result = await runFlow(paymentFlow, { triggerData: { amount: 500, msisdn: "256772123456" } });
+
+  assert.equal(result.status, "completed");
+  assert.deepEqual(result.outputs.holder, { msisdn: "256772123456", active: true, raw: { result: true } });
+  assert.equal(result.outputs.pay.status, "PENDING");
+  assert.equal(result.outputs.pay.amount, "500");
+  assert.equal(result.outputs.pay.currency, "EUR");
+  assert.equal(result.outputs.status.referenceId, result.outputs.pay.referenceId, "checkStatus reads the upstream reference");
+  assert.equal(result.outputs.status.status, "SUCCESSFUL");
+  assert.equal(result.outputs.status.msisdn, "256772123456");
+  assert.deepEqual(result.outputs.balance, { availableBalance: "1000", currency: "EUR" });
+
+  const pay = requests.find(r => r.method === "POST" && r.url === "/collection/v1_0/requesttopay");
+  assert.equal(pay.headers.authorization, "Bearer token-1");
+  assert.equal(pay.headers["x-target-environment"], "sandbox");
+  assert.equal(pay.headers["ocp-apim-subscription-key"], "sub-key");
+  assert.deepEqual(JSON.parse(pay.body).payer, { partyIdType: "MSISDN", partyId: "256772123456" });
+});
+
+test("a repeated requestToPay for the same node and run reuses its X-Reference-Id", async () => {
+  const flow = {
+    nodes: [
+      { id: "start", type: "trigger" },
+      { id: "pay", type: "mtn.requestToPay", config: { connectionId: "conn-1", amount: 5, msisdn: "256772123456", idempotencyKey: "order-7" } },
+    ],
+    edges: [{ from: "start", to: "pay" }],
+  };
+  const first = await runFlow(flow);
+  const second = await runFlow(flow);
+
+  assert.equal(second.outputs.pay.referenceId, first.outputs.pay.referenceId);
+  assert.equal(second.outputs.pay.duplicate, true, "MoMo's 409 reads as the existing payment");
+  assert.equal(payments.size, 1);
+});
+
+test("MoMo error responses fail the node with the provider's message", async () => {
+  const result = await runFlow({
+    nodes: [
+      { id: "start", type: "trigger" },
+      { id: "status", type: "mtn.checkStatus", config: { connectionId: "conn-1", referenceId: "missing-ref" } },
+    ],
+    edges: [{ from: "start", to: "status" }],
+  });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /MTN checkStatus failed \(404\): .*RESOURCE_NOT_FOUND/);
+});
@@ -0,0 +1,86 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import ExecutionService from "../../src/execution/ExecutionService.js";
+
+let original;
+
+beforeEach(() => {
+  fakeDb.reset();
+  original = {
+    id: "exec-1",
+    flow_id: "flow-1",
+    flow_name: "Collections",
+    flow_version: 2,
+    trigger_data: { msisdn: "256770000000", payment: { amount: 500, currency: "UGX", note: "March" } },
+    simulated: false,
+  };
+  fakeDb.on(/FROM flow_executions e JOIN flows f/, (sql, [id]) => ({ rows: id === original.id ? [original] : [] }));
+  fakeDb.on(/FROM flow_versions WHERE flow_id/, () => ({ rows: [{ latest_version: 4 }] }));
+  fakeDb.on(/INSERT INTO flow_executions/, () => ({ rows: [{ id: "exec-2" }] }));
+  fakeDb.on(/INSERT INTO execution_jobs/, () => ({ rows: [{ id: "job-1" }] }));
+});
+
+const inserted = () => {
+  const [insert] = fakeDb.statements(/INSERT INTO flow_executions/);
+  const [flowId, version, triggerData, replayedFrom, simulated] = insert.params;
+  return { flowId, version, triggerData: JSON.parse(triggerData), replayedFrom, simulated };
+};
+
+test("replay queues the same version with the stored payload and records the source", async () => {
+  const result = await ExecutionService.replayExecution("exec-1");
+
+  assert.equal(result.executionId, "exec-2");
+  assert.equal(result.replayedFrom, "exec-1");
+  assert.equal(result.version, 2);
+  assert.deepEqual(inserted(), {
+    flowId: "flow-1",
+    version: 2,
+    triggerData: original.trigger_data,
+    replayedFrom: "exec-1",
+    simulated: false,
+  });
+  assert.match(fakeDb.statements(/INSERT INTO flow_executions/)[0].sql, /'replay'/);
+  assert.equal(fakeDb.statements(/INSERT INTO execution_jobs/).length, 1, "the replay is queued");
+});
+
+test("replay can target the latest version of the flow", async () => {
+  const result = await ExecutionService.replayExecution("exec-1", { useLatestVersion: true });
+
+  assert.equal(result.version, 4);
+  assert.equal(inserted().version, 4);
+});
+
+test("edits are merge-patched onto the stored payload", async () => {
+  const result = await ExecutionService.replayExecution("exec-1", {
+    edits: { payment: { amount: 750, note: null }, retry: true },
+  });
+
+  const expected = { msisdn: "256770000000", payment: { amount: 750, currency: "UGX" }, retry: true };
+  assert.deepEqual(result.triggerData, expected);
+  assert.deepEqual(inserted().triggerData, expected);
+  assert.equal(original.trigger_data.payment.note, "March", "the stored payload is left alone");
+});
+
+test("a replacement payload is used instead of the stored one, then patched", async () => {
+  await ExecutionService.replayExecution("exec-1", {
+    triggerData: { msisdn: "256780000000" },
+    edits: { payment: { amount: 10 } },
+  });
+
+  assert.deepEqual(inserted().triggerData, { msisdn: "256780000000", payment: { amount: 10 } });
+});
+
+test("replaying a dry run stays a dry run", async () => {
+  original.simulated = true;
+
+  const result = await ExecutionService.replayExecution("exec-1");
+
+  assert.equal(result.simulated, true);
+  assert.equal(inserted().simulated, true);
+});
+
+test("replaying an unknown execution fails without queueing anything", async () => {
+  await assert.rejects(ExecutionService.replayExecution("missing"), /Execution not found/);
+  assert.equal(fakeDb.statements(/INSERT INTO flow_executions/).length, 0);
+});
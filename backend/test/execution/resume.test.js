@@ -0,0 +1,95 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow, recordSteps } from "../support/flows.js";
+import FlowExecutor from "../../src/execution/FlowExecutor.js";
+import ExecutionService from "../../src/execution/ExecutionService.js";
+
+let steps;
+
+beforeEach(() => {
+  fakeDb.reset();
+  steps = recordSteps();
+  // exec-resumed was resumed from exec-original
+  fakeDb.on(/WITH RECURSIVE chain/, () => ({ rows: [{ id: "exec-original" }] }));
+});
+
+const stepsOf = (executionId) => steps.filter(s => s.execution_id === executionId);
+
+test("a resumed execution that suspends on a wait restores its own steps when it wakes", async () => {
+  const graph = {
+    nodes: [
+      { id: "start", type: "trigger" },
+      { id: "check", type: "transform", config: { transformation: "passthrough" } },
+      { id: "pause", type: "delay", config: { hours: 6 } },
+      { id: "after", type: "transform", config: { transformation: "passthrough" } },
+    ],
+    edges: [{ from: "start", to: "check" }, { from: "check", to: "pause" }, { from: "pause", to: "after" }],
+  };
+  steps.push(
+    { id: "orig-1", execution_id: "exec-original", node_id: "start", status: "completed", output_data: { ok: true } },
+    { id: "orig-2", execution_id: "exec-original", node_id: "check", status: "failed", output_data: null },
+  );
+  const resumeFrom = { executionId: "exec-original", nodeId: "check" };
+
+  const suspended = await runFlow(graph, { executionId: "exec-resumed", options: { resumeFrom } });
+  assert.equal(suspended.waiting, true);
+
+  // The wake-up job comes due
+  const wait = stepsOf("exec-resumed").find(s => s.node_id === "pause");
+  wait.output_data = { resumeAt: new Date(Date.now() - 1000).toISOString() };
+  const executor = new FlowExecutor("exec-resumed", "flow-1", 1, "manual", {}, { resumeFrom, restore: true });
+  const woken = await executor.execute();
+
+  assert.equal(woken.status, "completed");
+  assert.equal(executor.idempotencyBase, "exec-original", "payment keys still derive from the original run");
+  const nodeIds = stepsOf("exec-resumed").map(s => s.node_id);
+  assert.deepEqual(nodeIds, ["start", "check", "pause", "after"], "one step per node, none recorded twice");
+  assert.equal(stepsOf("exec-resumed").find(s => s.node_id === "pause").status, "completed");
+});
+
+test("resuming skips failures an error branch handled and restarts at the one that ended the run", async () => {
+  const requires = (path) => ({ transformation: "mapping", spec: { value: { path, required: true } } });
+  const graph = {
+    nodes: [
+      { id: "start", type: "trigger" },
+      { id: "charge", type: "transform", config: requires("trigger.card") },
+      { id: "ship", type: "transform", config: { transformation: "passthrough" } },
+      { id: "notify", type: "transform", config: { transformation: "passthrough" } },
+      { id: "finish", type: "transform", config: requires("trigger.address") },
+    ],
+    edges: [
+      { from: "start", to: "charge" },
+      { from: "charge", to: "ship" },
+      { from: "charge", to: "notify", branch: "error" },
+      { from: "notify", to: "finish" },
+    ],
+  };
+
+  // charge fails into its error branch; finish then fails with nothing to catch it
+  const original = await runFlow(graph, { executionId: "exec-original" });
+  assert.equal(original.success, false);
+  assert.equal(stepsOf("exec-original").find(s => s.node_id === "charge").status, "failed");
+
+  fakeDb.on(/FROM flow_executions e JOIN flows f/, () => ({
+    rows: [{ id: "exec-original", status: "failed", flow_id: "flow-1", flow_version: 1, trigger_data: {} }],
+  }));
+  fakeDb.on(/INSERT INTO flow_executions/, () => ({ rows: [{ id: "exec-resumed" }] }));
+  const resumed = await ExecutionService.resumeExecution("exec-original");
+  assert.equal(resumed.fromNodeId, "finish");
+
+  const result = await runFlow(graph, {
+    executionId: "exec-resumed",
+    triggerData: { address: "Plot 4" },
+    options: { resumeFrom: { executionId: "exec-original", nodeId: "finish" } },
+  });
+
+  assert.equal(result.status, "completed_with_errors", "the handled failure still counts");
+  const byNode = Object.fromEntries(stepsOf("exec-resumed").map(s => [s.node_id, s]));
+  assert.equal(byNode.charge.status, "failed", "charge is carried over, not run again");
+  assert.equal(byNode.charge.output_data.error.nodeId, "charge");
+  assert.equal(byNode.ship.status, "skipped");
+  assert.equal(byNode.notify.status, "reused");
+  assert.equal(byNode.finish.status, "completed");
+  assert.ok(!fakeDb.statements(/'running'/).some(c => c.params[0] === "exec-resumed" && c.params[1] === "charge"));
+});
@@ -0,0 +1,85 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow } from "../support/flows.js";
+import { encryptJSON } from "../../src/utils/crypto.js";
+import { normalizeRetryPolicy, computeBackoff, isRetryableError } from "../../src/execution/retry.js";
+
+test("normalizeRetryPolicy runs once by default and clamps configured values", () => {
+  assert.equal(normalizeRetryPolicy(undefined).maxAttempts, 1);
+
+  const policy = normalizeRetryPolicy({ maxAttempts: "3.7", initialDelayMs: -5, multiplier: 0.5, jitter: 4, retryOn: { statusCodes: ["429"] } });
+  assert.equal(policy.maxAttempts, 3);
+  assert.equal(policy.initialDelayMs, 0);
+  assert.equal(policy.multiplier, 1);
+  assert.equal(policy.jitter, 1);
+  assert.deepEqual(policy.retryOn, { statusCodes: [429], networkErrors: true });
+  assert.equal(normalizeRetryPolicy({ jitter: false }).jitter, 0);
+});
+
+test("computeBackoff grows exponentially up to maxDelayMs, less at most `jitter` of it", () => {
+  const policy = normalizeRetryPolicy({ initialDelayMs: 100, multiplier: 3, maxDelayMs: 1000, jitter: false });
+  assert.deepEqual([1, 2, 3, 4].map(attempt => computeBackoff(policy, attempt)), [100, 300, 900, 1000]);
+
+  const jittered = { ...policy, jitter: 0.5 };
+  for (let i = 0; i < 20; i++) {
+    const delay = computeBackoff(jittered, 2);
+    assert.ok(delay >= 150 && delay <= 300, `${delay} within [150, 300]`);
+  }
+});
+
+test("isRetryableError matches status codes first, then network failures", () => {
+  const policy = normalizeRetryPolicy({ maxAttempts: 3 });
+  assert.equal(isRetryableError({ status: 503 }, policy), true);
+  assert.equal(isRetryableError({ response: { status: 400 } }, policy), false);
+  assert.equal(isRetryableError(Object.assign(new Error("reset"), { code: "ECONNRESET" }), policy), true);
+  assert.equal(isRetryableError(Object.assign(new Error("reset"), { code: "ECONNRESET" }), normalizeRetryPolicy({ retryOn: { networkErrors: false } })), false);
+  assert.equal(isRetryableError(new Error("bad input"), policy), false);
+});
+
+let server;
+let statuses;
+let hits;
+
+beforeEach(async () => {
+  fakeDb.reset();
+  hits = 0;
+  server = http.createServer((req, res) => {
+    res.statusCode = statuses[Math.min(hits++, statuses.length - 1)];
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ hit: hits }));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  fakeDb.on(/FROM connections/, () => ({
+    rows: [{ provider: "http", config_enc: encryptJSON({ baseUrl: `http://127.0.0.1:${server.address().port}` }) }],
+  }));
+});
+
+afterEach(() => server.close());
+
+const callFlow = (retry) => ({
+  nodes: [
+    { id: "start", type: "trigger" },
+    { id: "call", type: "action", kind: "http", config: { connectionId: "conn-1", url: "/orders", failOnHttpError: true, retry } },
+  ],
+  edges: [{ from: "start", to: "call" }],
+});
+
+test("a node retries retryable statuses until an attempt succeeds", async () => {
+  statuses = [503, 503, 200];
+  const result = await runFlow(callFlow({ maxAttempts: 3, initialDelayMs: 1, jitter: false }));
+
+  assert.equal(result.status, "completed");
+  assert.equal(hits, 3);
+  assert.deepEqual(fakeDb.statements(/SET retry_count/).map(c => c.params[0]), [1, 2]);
+});
+
+test("a non-retryable status fails the node on its first attempt", async () => {
+  statuses = [400, 200];
+  const result = await runFlow(callFlow({ maxAttempts: 3, initialDelayMs: 1 }));
+
+  assert.equal(result.success, false);
+  assert.equal(hits, 1);
+  assert.match(result.error, /returned HTTP 400/);
+});
@@ -0,0 +1,79 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow } from "../support/flows.js";
+import { encryptJSON } from "../../src/utils/crypto.js";
+
+let server;
+let inFlight;
+let maxInFlight;
+let requested;
+
+beforeEach(async () => {
+  fakeDb.reset();
+  inFlight = 0;
+  maxInFlight = 0;
+  requested = [];
+  // Each response is held briefly so overlapping requests are observable
+  server = http.createServer((req, res) => {
+    requested.push(req.url);
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    setTimeout(() => {
+      inFlight--;
+      res.statusCode = req.url === "/fail" ? 500 : 200;
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ path: req.url }));
+    }, 50);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  fakeDb.on(/FROM connections/, () => ({
+    rows: [{ provider: "http", config_enc: encryptJSON({ baseUrl: `http://127.0.0.1:${server.address().port}` }) }],
+  }));
+});
+
+afterEach(() => server.close());
+
+const call = (id, url = `/${id}`) => ({
+  id, type: "action", kind: "http", config: { connectionId: "conn-1", url, failOnHttpError: true },
+});
+
+// start fans out to every branch; all branches join at merge
+const fanOut = (branches) => ({
+  nodes: [{ id: "start", type: "trigger" }, ...branches, { id: "merge", type: "transform", config: { transformation: "passthrough" } }],
+  edges: branches.flatMap(node => [{ from: "start", to: node.id }, { from: node.id, to: "merge" }]),
+});
+
+test("independent branches run concurrently up to maxParallelism", async () => {
+  const result = await runFlow(fanOut([call("a"), call("b"), call("c"), call("d")]), { options: { maxParallelism: 2 } });
+
+  assert.equal(result.status, "completed");
+  assert.equal(maxInFlight, 2);
+  assert.deepEqual(requested.sort(), ["/a", "/b", "/c", "/d"]);
+});
+
+test("the default cap lets four branches overlap; a cap of 1 runs them in turn", async () => {
+  await runFlow(fanOut([call("a"), call("b"), call("c"), call("d"), call("e")]));
+  assert.equal(maxInFlight, 4);
+
+  maxInFlight = 0;
+  await runFlow(fanOut([call("a"), call("b"), call("c")]), { options: { maxParallelism: 1 } });
+  assert.equal(maxInFlight, 1);
+});
+
+test("a join node runs once, after every incoming branch, with all their outputs", async () => {
+  const result = await runFlow(fanOut([call("a"), call("b"), call("c")]), { options: { maxParallelism: 3 } });
+
+  const steps = fakeDb.statements(/INSERT INTO execution_steps/).map(c => c.params[1]);
+  assert.deepEqual(steps.filter(id => id === "merge"), ["merge"]);
+  assert.equal(steps.at(-1), "merge");
+  assert.deepEqual(Object.keys(result.outputs.merge).sort(), ["a", "b", "c"]);
+});
+
+test("a failed branch stops new nodes from starting", async () => {
+  const result = await runFlow(fanOut([call("a"), call("b", "/fail"), call("c"), call("d")]), { options: { maxParallelism: 1 } });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /returned HTTP 500/);
+  assert.deepEqual(requested, ["/a", "/fail"]);
+});
@@ -0,0 +1,38 @@
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+
+// The mailer picks SendGrid over SMTP when it is loaded
+process.env.SENDGRID_API_KEY = "sg-test-key";
+const { sendMail } = await import("../../src/mailer.js");
+
+const realFetch = globalThis.fetch;
+let requests;
+
+beforeEach(() => {
+  requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url, init, body: JSON.parse(init.body) });
+    return new Response(null, { status: 202, statusText: "Accepted", headers: { "x-message-id": "sg-1" } });
+  };
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+});
+
+test("an html-only email is sent without an empty text/plain part", async () => {
+  const result = await sendMail({ to: "ops@example.com", subject: "Receipt", html: "<p>Paid</p>" });
+
+  assert.equal(result.messageId, "sg-1");
+  assert.deepEqual(requests[0].body.content, [{ type: "text/html", value: "<p>Paid</p>" }]);
+});
+
+test("an email with text and html sends both parts, text/plain first", async () => {
+  await sendMail({ to: ["ops@example.com"], cc: "finance@example.com", subject: "Receipt", text: "Paid", html: "<p>Paid</p>" });
+
+  const [{ url, init, body }] = requests;
+  assert.equal(url, "https://api.sendgrid.com/v3/mail/send");
+  assert.equal(init.headers.Authorization, "Bearer sg-test-key");
+  assert.deepEqual(body.content, [{ type: "text/plain", value: "Paid" }, { type: "text/html", value: "<p>Paid</p>" }]);
+  assert.deepEqual(body.personalizations[0].cc, [{ email: "finance@example.com" }]);
+});
@@ -0,0 +1,78 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow } from "../support/flows.js";
+import ExecutionService from "../../src/execution/ExecutionService.js";
+import { generateFromSchema } from "../../src/execution/simulation.js";
+
+beforeEach(() => fakeDb.reset());
+
+const paymentFlow = (extra = {}) => ({
+  nodes: [
+    { id: "start", type: "trigger" },
+    { id: "pay", type: "mtn.requestToPay", config: { connectionId: "conn-1", amount: 100, msisdn: "256700000000" } },
+    { id: "paid", type: "waitForCallback", config: { provider: "mtn" } },
+    { id: "pause", type: "delay", config: { hours: 6 } },
+    { id: "notify", type: "action", kind: "http", config: { url: "https://hooks.invalid/paid", ...extra } },
+  ],
+  edges: [
+    { from: "start", to: "pay" },
+    { from: "pay", to: "paid" },
+    { from: "paid", to: "pause" },
+    { from: "pause", to: "notify" },
+  ],
+});
+
+test("a simulated run answers provider nodes without calling out", async () => {
+  const result = await runFlow(paymentFlow(), { options: { simulate: true } });
+
+  assert.equal(result.status, "completed");
+  assert.equal(result.outputs.pay.status, "PENDING");
+  assert.equal(result.outputs.paid.referenceId, result.outputs.pay.referenceId);
+  assert.equal(result.outputs.paid.status, "SUCCESSFUL");
+  assert.equal(result.outputs.pause.simulated, true);
+  assert.equal(result.outputs.notify.simulated, true);
+  assert.equal(fakeDb.statements(/FROM connections/).length, 0, "no connection was loaded");
+  assert.equal(fakeDb.statements(/INSERT INTO execution_callbacks/).length, 0, "no callback was awaited");
+});
+
+test("node mocks take precedence: mockError, then mock, then mockSchema", async () => {
+  const mocked = await runFlow(paymentFlow({ mock: { delivered: 3 } }), { options: { simulate: true } });
+  assert.deepEqual(mocked.outputs.notify, { delivered: 3 });
+
+  fakeDb.reset();
+  const failed = await runFlow(paymentFlow({ mock: { delivered: 3 }, mockError: "hook down" }), { options: { simulate: true } });
+  assert.equal(failed.success, false);
+  assert.equal(failed.error, "hook down");
+});
+
+test("mockSchema generates a sample from a JSON Schema", () => {
+  const sample = generateFromSchema({
+    type: "object",
+    properties: {
+      id: { type: "string", format: "uuid" },
+      count: { type: "integer", minimum: 2 },
+      state: { type: "string", enum: ["open", "closed"] },
+      tags: { type: "array", items: { type: "string" }, minItems: 2 },
+      note: { type: "string", example: "hello" },
+    },
+  });
+
+  assert.deepEqual(sample, {
+    id: "00000000-0000-4000-8000-000000000000",
+    count: 2,
+    state: "open",
+    tags: ["sample-tags", "sample-tags"],
+    note: "hello",
+  });
+});
+
+test("flow execution lists leave dry runs out unless asked for", async () => {
+  await ExecutionService.getFlowExecutions("flow-1");
+  await ExecutionService.getFlowExecutions("flow-1", 20, { simulated: true });
+
+  const [real, simulated] = fakeDb.statements(/FROM flow_executions/);
+  assert.match(real.sql, /simulated = \$3/);
+  assert.equal(real.params[2], false);
+  assert.equal(simulated.params[2], true);
+});
@@ -0,0 +1,123 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow, recordSteps } from "../support/flows.js";
+
+let steps;
+let parent;
+let parentGraph;
+
+// Version 1 of the fees flow charges a flat fee, version 3 a percentage
+const feesFlow = (fee) => ({
+  nodes: [
+    { id: "start", type: "trigger" },
+    { id: "quote", type: "transform", config: { transformation: "mapping", spec: { amount: "trigger.amount", fee: { value: fee } } } },
+    { id: "done", type: "end" },
+  ],
+  edges: [{ from: "start", to: "quote" }, { from: "quote", to: "done" }],
+});
+const versions = { 1: feesFlow(100), 3: feesFlow("1%") };
+
+const callFees = (config = {}) => ({
+  nodes: [
+    { id: "start", type: "trigger" },
+    { id: "fees", type: "subflow", config: { flowId: "flow-fees", inputs: { amount: "{{ trigger.amount }}" }, ...config } },
+  ],
+  edges: [{ from: "start", to: "fees" }],
+});
+
+beforeEach(() => {
+  fakeDb.reset();
+  steps = recordSteps();
+  parent = { id: "exec-parent", depth: 0, root_execution_id: null, org_id: "org-1" };
+  fakeDb.on(/FROM flow_executions e JOIN flows f ON f.id = e.flow_id WHERE e.id = \$1/, () => ({ rows: [parent] }));
+  fakeDb.on(/FROM flows f LEFT JOIN flow_versions/, () => ({ rows: [{ id: "flow-fees", name: "Fees", latest_version: 3 }] }));
+  fakeDb.on(/FROM flow_versions WHERE flow_id = \$1 AND version = \$2/, (sql, [flowId, version]) => {
+    if (flowId !== "flow-fees") return { rows: [{ graph: parentGraph, variables: {} }] };
+    return { rows: versions[version] ? [{ graph: versions[version], variables: {} }] : [] };
+  });
+  fakeDb.on(/INSERT INTO flow_executions/, () => ({ rows: [{ id: "exec-child" }] }));
+});
+
+const run = (config) => {
+  parentGraph = callFees(config);
+  return runFlow(parentGraph, { executionId: "exec-parent", triggerData: { amount: 500 } });
+};
+
+const childInsert = () => {
+  const [insert] = fakeDb.statements(/INSERT INTO flow_executions/);
+  if (!insert) return null;
+  const [flowId, version, inputs, parentExecutionId, parentStepId, rootExecutionId, depth] = insert.params;
+  return { flowId, version, inputs: JSON.parse(inputs), parentExecutionId, parentStepId, rootExecutionId, depth };
+};
+
+test("a sub-flow runs as a linked child execution and returns its end-node output", async () => {
+  const result = await run();
+
+  assert.equal(result.success, true);
+  const subflowStep = steps.find(s => s.execution_id === "exec-parent" && s.node_id === "fees");
+  assert.deepEqual(childInsert(), {
+    flowId: "flow-fees",
+    version: 3,
+    inputs: { amount: 500 },
+    parentExecutionId: "exec-parent",
+    parentStepId: subflowStep.id,
+    rootExecutionId: "exec-parent",
+    depth: 1,
+  });
+  const output = result.outputs.fees;
+  assert.equal(output.executionId, "exec-child");
+  assert.equal(output.version, 3);
+  assert.deepEqual(output.output.inputs.quote, { amount: 500, fee: "1%" });
+  assert.deepEqual(steps.filter(s => s.execution_id === "exec-child").map(s => s.node_id), ["start", "quote", "done"]);
+});
+
+test("a pinned version runs instead of the latest", async () => {
+  const result = await run({ version: 1 });
+
+  assert.equal(childInsert().version, 1);
+  assert.equal(result.outputs.fees.output.inputs.quote.fee, 100);
+});
+
+test("a pinned version that does not exist fails the node without starting a child", async () => {
+  const result = await run({ version: 2 });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Flow version 2 not found/);
+  assert.equal(childInsert(), null);
+});
+
+test("nested sub-flows keep the root execution and refuse to go past the depth limit", async () => {
+  parent = { id: "exec-parent", depth: 4, root_execution_id: "exec-root", org_id: "org-1" };
+  await run();
+
+  assert.equal(childInsert().depth, 5);
+  assert.equal(childInsert().rootExecutionId, "exec-root");
+
+  fakeDb.calls.length = 0;
+  parent = { id: "exec-parent", depth: 5, root_execution_id: "exec-root", org_id: "org-1" };
+  const result = await run();
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Sub-flow depth limit of 5 exceeded/);
+  assert.equal(childInsert(), null);
+});
+
+test("a failed child fails the sub-flow node with the child's error", async () => {
+  versions[2] = {
+    nodes: [
+      { id: "start", type: "trigger" },
+      { id: "quote", type: "transform", config: { transformation: "mapping", spec: { amount: { path: "trigger.total", required: true } } } },
+    ],
+    edges: [{ from: "start", to: "quote" }],
+  };
+  let result;
+  try {
+    result = await run({ version: 2 });
+  } finally {
+    delete versions[2];
+  }
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Sub-flow Fees \(execution exec-child\) failed: .*'amount': value is required/);
+});
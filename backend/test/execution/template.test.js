@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { interpolate, hasPlaceholders, escapeHtml } from "../../src/execution/template.js";
+
+const scope = {
+  trigger: { msisdn: "256700000000", amount: 1500, meta: { ref: "A1" } },
+  vars: { currency: "UGX" },
+};
+
+test("a whole placeholder keeps the referenced type, embedded ones become text", () => {
+  assert.deepEqual(
+    interpolate({
+      url: "https://api.example.com/users/{{ trigger.msisdn }}",
+      amount: "{{ trigger.amount }}",
+      meta: "{{ trigger.meta }}",
+      list: ["{{ vars.currency }}", 3],
+    }, scope),
+    {
+      url: "https://api.example.com/users/256700000000",
+      amount: 1500,
+      meta: { ref: "A1" },
+      list: ["UGX", 3],
+    }
+  );
+  assert.equal(interpolate("ref={{ trigger.meta }}", scope), 'ref={"ref":"A1"}');
+});
+
+test("an unresolved reference fails with the config path", () => {
+  assert.throws(
+    () => interpolate({ headers: { Authorization: "Bearer {{ vars.token }}" } }, scope),
+    /Cannot resolve '\{\{ vars.token \}\}' in config.headers.Authorization: reference not found/
+  );
+  assert.throws(() => interpolate("{{ 1 / 0 }}", scope, "config.body"), /in config.body: Division by zero/);
+});
+
+test("the escape option applies to every substituted value", () => {
+  const hostile = { trigger: { name: '<img src=x onerror="alert(1)">', count: 2 } };
+  assert.equal(
+    interpolate("<p>Hi {{ trigger.name }}</p>", hostile, "config.html", { escape: escapeHtml }),
+    "<p>Hi &lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>"
+  );
+  assert.equal(interpolate("{{ trigger.count }}", hostile, "config.html", { escape: escapeHtml }), "2");
+});
+
+test("hasPlaceholders looks through nested values", () => {
+  assert.equal(hasPlaceholders({ a: [1, { b: "x {{ y }}" }] }), true);
+  assert.equal(hasPlaceholders({ a: [1, { b: "plain" }] }), false);
+});
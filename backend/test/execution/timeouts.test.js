@@ -0,0 +1,54 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow } from "../support/flows.js";
+import { encryptJSON } from "../../src/utils/crypto.js";
+import { MTNConnector } from "../../src/providers/mtn/index.js";
+
+const originalGetStatus = MTNConnector.prototype.getStatus;
+let signals;
+
+beforeEach(() => {
+  fakeDb.reset();
+  fakeDb.on(/FROM connections/, () => ({
+    rows: [{ provider: "mtn", config_enc: encryptJSON({ baseUrl: "https://momo.invalid" }) }],
+  }));
+  // A provider call that only ends when its request is aborted
+  signals = [];
+  MTNConnector.prototype.getStatus = function () {
+    const { signal } = this.cfg;
+    signals.push(signal);
+    return new Promise((resolve, reject) => {
+      signal.addEventListener("abort", () => reject(Object.assign(new Error("canceled"), { code: "ERR_CANCELED" })));
+    });
+  };
+});
+
+afterEach(() => {
+  MTNConnector.prototype.getStatus = originalGetStatus;
+});
+
+test("a node attempt that times out has its provider call aborted before the retry starts", async () => {
+  const result = await runFlow({
+    nodes: [
+      { id: "start", type: "trigger" },
+      {
+        id: "status",
+        type: "mtn.checkStatus",
+        config: {
+          connectionId: "conn-1",
+          referenceId: "ref-1",
+          timeoutMs: 50,
+          retry: { maxAttempts: 2, initialDelayMs: 0, jitter: false },
+        },
+      },
+    ],
+    edges: [{ from: "start", to: "status" }],
+  });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /timed out after 50ms/);
+  assert.equal(signals.length, 2);
+  assert.ok(signals[0].aborted, "first attempt was aborted");
+  assert.notEqual(signals[0], signals[1], "each attempt has its own signal");
+});
@@ -0,0 +1,46 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb } from "../support/fakeDb.js";
+import { runFlow } from "../support/flows.js";
+import FlowExecutor from "../../src/execution/FlowExecutor.js";
+
+beforeEach(() => fakeDb.reset());
+
+const now = new Date("2026-03-10T14:30:00Z");
+const wake = (type, config) => FlowExecutor.computeWakeTime({ type, config }, now).toISOString();
+
+test("computeWakeTime adds delay durations", () => {
+  assert.equal(wake("delay", { delayMs: 1500 }), "2026-03-10T14:30:01.500Z");
+  assert.equal(wake("delay", { days: 1, hours: 2, minutes: 3, seconds: 4 }), "2026-03-11T16:33:04.000Z");
+  assert.throws(() => wake("delay", { delayMs: -1 }), /non-negative duration/);
+});
+
+test("computeWakeTime resolves wait-until timestamps and the next HH:MM in UTC", () => {
+  assert.equal(wake("waitUntil", { until: "2026-04-01T09:00:00Z" }), "2026-04-01T09:00:00.000Z");
+  assert.equal(wake("waitUntil", { time: "18:00" }), "2026-03-10T18:00:00.000Z");
+  assert.equal(wake("waitUntil", { time: "09:15" }), "2026-03-11T09:15:00.000Z", "a time already passed today means tomorrow");
+  assert.equal(wake("waitUntil", { time: "14:30" }), "2026-03-11T14:30:00.000Z");
+  assert.throws(() => wake("waitUntil", { until: "soon" }), /Invalid wait-until time: soon/);
+  assert.throws(() => wake("waitUntil", { time: "24:00" }), /requires config.until or config.time/);
+});
+
+test("a long delay suspends the execution and queues its wake-up", async () => {
+  const before = Date.now();
+  const result = await runFlow({
+    nodes: [
+      { id: "start", type: "trigger" },
+      { id: "pause", type: "delay", config: { hours: 6 } },
+      { id: "after", type: "transform", config: { transformation: "passthrough" } },
+    ],
+    edges: [{ from: "start", to: "pause" }, { from: "pause", to: "after" }],
+  });
+
+  assert.equal(result.waiting, true);
+  const [suspended] = fakeDb.statements(/SET status = 'waiting', wake_at = \$1/);
+  const wakeAt = suspended.params[0].getTime();
+  assert.ok(Math.abs(wakeAt - (before + 6 * 3600 * 1000)) < 5000, "wakes six hours from now");
+
+  const [job] = fakeDb.statements(/INSERT INTO execution_jobs/);
+  assert.equal(job.params[1].getTime(), wakeAt);
+  assert.ok(!fakeDb.statements(/INSERT INTO execution_steps/).some(c => c.params[1] === "after"), "later nodes wait too");
+});
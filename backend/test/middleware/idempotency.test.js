@@ -0,0 +1,140 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { fakeDb } from "../support/fakeDb.js";
+import { idempotency } from "../../src/middleware/idempotency.js";
+
+// idempotency_keys, keyed by scope/owner/key
+let keys;
+let server;
+let baseUrl;
+let runs;
+
+function emulateKeyTable() {
+  keys = new Map();
+  let nextId = 0;
+  fakeDb.on(/^INSERT INTO idempotency_keys/, (sql, [scope, owner, key, hash]) => {
+    const id = `${scope}|${owner}|${key}`;
+    if (keys.has(id)) return { rows: [], rowCount: 0 };
+    keys.set(id, { rowId: ++nextId, request_hash: hash, status: "in_progress", response_status: null, response_body: null });
+    return { rows: [{ id: nextId }] };
+  });
+  fakeDb.on(/^SELECT request_hash/, (sql, [scope, owner, key]) => {
+    const row = keys.get(`${scope}|${owner}|${key}`);
+    return { rows: row ? [row] : [] };
+  });
+  fakeDb.on(/^UPDATE idempotency_keys SET status = 'completed'/, (sql, [status, body, rowId]) => {
+    const row = [...keys.values()].find(r => r.rowId === rowId);
+    Object.assign(row, { status: "completed", response_status: status, response_body: body && JSON.parse(body) });
+    return { rows: [], rowCount: 1 };
+  });
+  fakeDb.on(/^DELETE FROM idempotency_keys/, (sql, [rowId]) => {
+    for (const [id, row] of keys) if (row.rowId === rowId) keys.delete(id);
+    return { rows: [], rowCount: 1 };
+  });
+}
+
+beforeEach(async () => {
+  fakeDb.reset();
+  emulateKeyTable();
+  runs = 0;
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    if (req.get("X-Test-User")) req.user = { id: req.get("X-Test-User"), org: "org-1" };
+    next();
+  });
+  app.post("/pay", idempotency("test.pay"), async (req, res) => {
+    runs++;
+    if (req.body.slow) await new Promise(resolve => setTimeout(resolve, 200));
+    if (req.body.fail) return res.status(502).json({ error: "provider down" });
+    res.status(201).json({ run: runs });
+  });
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(() => server.close());
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+function pay(body, { key = "k1", user = "u1", signal } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (key) headers["Idempotency-Key"] = key;
+  if (user) headers["X-Test-User"] = user;
+  return fetch(`${baseUrl}/pay`, { method: "POST", headers, body: JSON.stringify(body), signal });
+}
+
+test("a repeated request gets the stored response instead of running again", async () => {
+  const first = await pay({ amount: 5 });
+  await settle();
+  const second = await pay({ amount: 5 });
+
+  assert.equal(first.status, 201);
+  assert.equal(second.status, 201);
+  assert.equal(second.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(await second.json(), { run: 1 });
+  assert.equal(runs, 1);
+});
+
+test("reusing a key with a different body is rejected", async () => {
+  await pay({ amount: 5 });
+  await settle();
+  const res = await pay({ amount: 6 });
+
+  assert.equal(res.status, 422);
+  assert.equal(runs, 1);
+});
+
+test("a repeat that arrives while the first request runs gets 409", async () => {
+  const first = pay({ amount: 5, slow: true });
+  await settle();
+  const second = await pay({ amount: 5, slow: true });
+
+  assert.equal(second.status, 409);
+  assert.equal((await first).status, 201);
+});
+
+test("keys are scoped per user", async () => {
+  await pay({ amount: 5 }, { user: "u1" });
+  await settle();
+  const other = await pay({ amount: 5 }, { user: "u2" });
+
+  assert.equal(other.headers.get("idempotent-replayed"), null);
+  assert.equal(runs, 2);
+});
+
+test("an unauthenticated request with a key is refused", async () => {
+  const res = await pay({ amount: 5 }, { user: null });
+
+  assert.equal(res.status, 401);
+  assert.equal(runs, 0);
+});
+
+test("requests without a key are not affected", async () => {
+  await pay({ amount: 5 }, { key: null, user: null });
+  await pay({ amount: 5 }, { key: null, user: null });
+
+  assert.equal(runs, 2);
+  assert.equal(fakeDb.calls.length, 0);
+});
+
+test("5xx responses release the key so the client can retry", async () => {
+  await pay({ fail: true });
+  await settle();
+  await pay({ fail: true });
+
+  assert.equal(runs, 2);
+});
+
+test("a client that disconnects before the response releases the key", async () => {
+  const controller = new AbortController();
+  const aborted = pay({ amount: 5, slow: true }, { signal: controller.signal }).catch(() => null);
+  await settle();
+  controller.abort();
+  await aborted;
+  await settle();
+
+  assert.equal(keys.size, 0);
+});
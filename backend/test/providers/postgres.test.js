@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import pg from "pg";
+import { getPool, runStatement } from "../../src/providers/postgres/index.js";
+
+const cfg = { host: "db.invalid", database: "shop", user: "app", password: "first" };
+
+test("getPool reuses the pool while the connection settings are unchanged", async () => {
+  const pool = getPool("conn-same", cfg);
+  assert.equal(getPool("conn-same", { ...cfg }), pool);
+  await pool.end();
+});
+
+test("getPool replaces and closes the pool when the connection is edited", async () => {
+  const original = getPool("conn-edited", cfg);
+  const updated = getPool("conn-edited", { ...cfg, password: "rotated" });
+
+  assert.notEqual(updated, original);
+  assert.equal(updated.options.password, "rotated");
+  assert.equal(original.ending, true, "the stale pool is shut down");
+  assert.equal(getPool("conn-edited", { ...cfg, password: "rotated" }), updated);
+  await updated.end();
+});
+
+// A pool whose one client records every query; `respond` answers the statement itself
+function fakePool(respond = () => ({ rows: [], rowCount: 0 })) {
+  const client = {
+    queries: [],
+    released: null,
+    async query(config) {
+      this.queries.push(config);
+      if (typeof config === "string") return { rows: [], rowCount: 0 };
+      return respond(config);
+    },
+    release(failed) {
+      this.released = failed;
+    },
+  };
+  return { client, connect: async () => client };
+}
+
+test("runStatement sends the statement over the extended protocol, even without params", async () => {
+  const pool = fakePool(() => ({ rows: [], rowCount: 1 }));
+  await runStatement(pool, { operation: "insert", sql: "INSERT INTO audit (note) VALUES ('x'); DROP TABLE audit" });
+
+  const statement = pool.client.queries.find(q => typeof q === "object");
+  assert.equal(statement.text, "INSERT INTO audit (note) VALUES ('x'); DROP TABLE audit");
+  assert.deepEqual(statement.values, []);
+  // With the extended protocol the server rejects a second command outright
+  assert.equal(new pg.Query(statement).requiresPreparation(), true);
+});
+
+test("runStatement wraps selects read-only with a limit and a statement timeout", async () => {
+  const pool = fakePool(() => ({ rows: [{ id: 1 }, { id: 2 }, { id: 3 }], rowCount: 3, fields: [{ name: "id" }] }));
+  const result = await runStatement(pool, { operation: "select", sql: "SELECT id FROM orders WHERE org = $1;", params: ["o1"], maxRows: 2, statementTimeoutMs: 500 });
+
+  assert.deepEqual(result, { rowCount: 2, rows: [{ id: 1 }, { id: 2 }], fields: ["id"], truncated: true });
+  const [begin, timeout, select, commit] = pool.client.queries;
+  assert.equal(begin, "BEGIN READ ONLY");
+  assert.equal(timeout, "SET LOCAL statement_timeout = 500");
+  assert.equal(select.text, "SELECT * FROM (SELECT id FROM orders WHERE org = $1) AS q LIMIT 3");
+  assert.deepEqual(select.values, ["o1"]);
+  assert.equal(commit, "COMMIT");
+  assert.equal(pool.client.released, false);
+});
+
+test("runStatement refuses statements that do not match the operation", async () => {
+  const pool = fakePool();
+  await assert.rejects(runStatement(pool, { operation: "select", sql: "DELETE FROM orders" }), /SQL does not match operation 'select'/);
+  await assert.rejects(runStatement(pool, { operation: "delete", sql: "DELETE FROM orders" }), /Unsupported database operation 'delete'/);
+  await assert.rejects(runStatement(pool, { operation: "update", sql: "  " }), /requires config.sql/);
+  assert.equal(pool.client.queries.length, 0, "nothing reached the database");
+});
+
+test("runStatement rolls back writes over maxRows and discards the client", async () => {
+  const pool = fakePool(() => ({ rows: [], rowCount: 50 }));
+  await assert.rejects(
+    runStatement(pool, { operation: "update", sql: "UPDATE orders SET paid = true", maxRows: 10 }),
+    /update affected 50 rows, more than the limit of 10; rolled back/
+  );
+  assert.equal(pool.client.queries.at(-1), "ROLLBACK");
+  assert.equal(pool.client.released, true);
+});
+
+test("runStatement reports a statement timeout in plain words", async () => {
+  const pool = fakePool(() => { throw Object.assign(new Error("canceling statement due to statement timeout"), { code: "57014" }); });
+  await assert.rejects(runStatement(pool, { operation: "select", sql: "SELECT pg_sleep(5)", statementTimeoutMs: 250 }), /Statement timed out after 250ms/);
+});
@@ -0,0 +1,62 @@
+// In-memory stand-in for src/db/postgres.js. Tests register handlers for the
+// statements they care about; anything else gets an empty result.
+//   fakeDb.on(/INSERT INTO flow_executions/, (sql, params) => ({ rows: [{ id: "e1" }], rowCount: 1 }));
+// Shared helpers register defaults with fakeDb.otherwise, which only answer
+// statements no fakeDb.on handler took.
+// fakeDb.calls records every statement with its params.
+
+const handlers = [];
+const defaults = [];
+
+export const fakeDb = {
+  calls: [],
+
+  on(pattern, handler) {
+    handlers.push({ pattern, handler });
+  },
+
+  otherwise(pattern, handler) {
+    defaults.push({ pattern, handler });
+  },
+
+  reset() {
+    handlers.length = 0;
+    defaults.length = 0;
+    this.calls.length = 0;
+  },
+
+  // Statements (whitespace collapsed) matching a pattern, in order
+  statements(pattern) {
+    return this.calls.filter(c => pattern.test(c.sql));
+  },
+};
+
+export const query = async (text, params = []) => {
+  const sql = text.replace(/\s+/g, " ").trim();
+  fakeDb.calls.push({ sql, params });
+  // Last registered handler wins, so a test can override a shared default
+  for (const { pattern, handler } of [...handlers].reverse().concat([...defaults].reverse())) {
+    if (pattern.test(sql)) {
+      const result = await handler(sql, params);
+      if (result) return { rows: [], rowCount: result.rows?.length ?? 0, ...result };
+    }
+  }
+  return { rows: [], rowCount: 0 };
+};
+
+export const pool = null;
+
+// Same contract as the real helper; BEGIN/COMMIT/ROLLBACK show up in calls
+export async function withTransaction(fn) {
+  await query("BEGIN");
+  try {
+    const result = await fn({ query });
+    await query("COMMIT");
+    return result;
+  } catch (error) {
+    await query("ROLLBACK");
+    throw error;
+  }
+}
+
+export default { pool, query, withTransaction };
@@ -0,0 +1,103 @@
+// Run a flow graph through FlowExecutor against the fake database
+import { fakeDb } from "./fakeDb.js";
+import FlowExecutor from "../../src/execution/FlowExecutor.js";
+
+let nextId = 0;
+
+// options.executionId runs as an existing execution (e.g. to wake one that
+// suspended); by default every run gets a fresh id
+export async function runFlow(graph, { triggerData = {}, variables = {}, options = {}, executionId = `exec-${++nextId}` } = {}) {
+  fakeDb.otherwise(/FROM flow_versions/, () => ({ rows: [{ graph, variables }] }));
+  fakeDb.otherwise(/INSERT INTO execution_steps .* RETURNING id/, () => ({ rows: [{ id: `step-${++nextId}` }] }));
+  fakeDb.otherwise(/^UPDATE flow_executions .* WHERE id = \$\d+ AND status = 'running'/, () => ({ rows: [], rowCount: 1 }));
+
+  const executor = new FlowExecutor(executionId, "flow-1", 1, "manual", triggerData, options);
+  return executor.execute();
+}
+
+const JSON_COLUMNS = new Set(["input_data", "output_data"]);
+
+// Split on commas outside parentheses
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const char of text) {
+    if (char === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    current += char;
+  }
+  return [...parts, current];
+}
+
+// $n, now(), NULL, 'text', numbers, and COALESCE(a, b) of those
+function sqlValue(expression, params, row = {}) {
+  const text = expression.trim();
+  const coalesce = /^COALESCE\((.*)\)$/i.exec(text);
+  if (coalesce) {
+    for (const part of splitTopLevel(coalesce[1])) {
+      const name = part.trim();
+      const value = /^[a-z_]+$/.test(name) ? row[name] : sqlValue(name, params, row);
+      if (value !== null && value !== undefined) return value;
+    }
+    return null;
+  }
+  const param = /^\$(\d+)$/.exec(text);
+  if (param) return params[Number(param[1]) - 1] ?? null;
+  if (/^now\(\)$/i.test(text)) return new Date();
+  if (/^null$/i.test(text)) return null;
+  if (/^'.*'$/.test(text)) return text.slice(1, -1);
+  return Number(text);
+}
+
+function column(name, value) {
+  return JSON_COLUMNS.has(name) && typeof value === "string" ? JSON.parse(value) : value;
+}
+
+// Keeps execution_steps in memory, so a later executor can restore or resume
+// from what an earlier one recorded. Returns the live array of rows.
+export function recordSteps() {
+  const steps = [];
+
+  fakeDb.on(/^INSERT INTO execution_steps/, (sql, params) => {
+    const [, columns, values] = /\((.*?)\) VALUES \((.*)\)(?: RETURNING id)?$/.exec(sql);
+    const row = { id: `step-${++nextId}`, parent_step_id: null };
+    const names = columns.split(",").map(c => c.trim());
+    splitTopLevel(values).forEach((value, i) => { row[names[i]] = column(names[i], sqlValue(value, params)); });
+    steps.push(row);
+    return { rows: [{ id: row.id }] };
+  });
+
+  // WHERE takes "column = value" conditions joined by AND
+  fakeDb.on(/^UPDATE execution_steps SET/, (sql, params) => {
+    const [, assignments, where] = /SET (.*) WHERE (.*)$/.exec(sql);
+    const conditions = where.split(/ AND /).map(condition => {
+      const [name, value] = condition.split("=");
+      return [name.trim(), sqlValue(value, params)];
+    });
+    const rows = steps.filter(row => conditions.every(([name, value]) => row[name] === value));
+    for (const row of rows) {
+      for (const assignment of splitTopLevel(assignments)) {
+        const [name, value] = assignment.split("=");
+        row[name.trim()] = column(name.trim(), sqlValue(value, params, row));
+      }
+    }
+    return { rows: [], rowCount: rows.length };
+  });
+
+  fakeDb.on(/FROM execution_steps WHERE execution_id = \$1/, (sql, [executionId]) => {
+    let rows = steps.filter(s => s.execution_id === executionId);
+    if (sql.includes("parent_step_id IS NULL")) rows = rows.filter(s => !s.parent_step_id);
+    if (sql.includes("ORDER BY completed_at")) {
+      rows = [...rows].sort((a, b) => (a.completed_at ? a.completed_at.getTime() : Infinity) - (b.completed_at ? b.completed_at.getTime() : Infinity));
+    }
+    return { rows };
+  });
+
+  return steps;
+}
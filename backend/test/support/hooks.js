@@ -0,0 +1,9 @@
+// Module resolve hook: every import of src/db/postgres.js gets fakeDb.js
+const FAKE_DB_URL = new URL("./fakeDb.js", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  return resolved.url.endsWith("/src/db/postgres.js")
+    ? { url: FAKE_DB_URL, shortCircuit: true }
+    : resolved;
+}
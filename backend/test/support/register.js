@@ -0,0 +1,5 @@
+// Loaded with `node --import` before the tests (see the test script in
+// package.json): swaps the Postgres module for the in-memory fake in fakeDb.js
+import { register } from "node:module";
+
+register("./hooks.js", import.meta.url);